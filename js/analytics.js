@@ -0,0 +1,158 @@
+/**
+ * Analytics
+ * Event bus for the visitor journey: main.js calls track() at the flow points
+ * (intro, collections, narration, finishes, orbit, quote) and pluggable sinks
+ * decide where the events go. Sinks that send data off the device declare
+ * requiresConsent; their events wait for setAnalyticsConsent() and are dropped
+ * on a refusal.
+ */
+
+import { getLanguage } from './i18n.js';
+
+const MAX_HELD_EVENTS = 200;
+const BEACON_BATCH_SIZE = 20;
+const BEACON_FLUSH_INTERVAL = 15000;
+
+const sessionId = createSessionId();
+const sessionStart = performance.now();
+let sinks = [];
+// null until the visitor decides; events for consent-gated sinks wait meanwhile
+let consent = null;
+let heldEvents = [];
+let listening = false;
+
+function createSessionId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * @param {{ name: string, send: (event: object) => void, flush?: () => void, clear?: () => void, requiresConsent?: boolean }} sink
+ * @returns {() => void} removes the sink
+ */
+export function addSink(sink) {
+    sinks.push(sink);
+    if (!listening) {
+        listening = true;
+        // Last chance to send what is batched before the tab goes away
+        window.addEventListener('pagehide', flushAnalytics);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flushAnalytics();
+        });
+    }
+    return () => {
+        sinks = sinks.filter(item => item !== sink);
+    };
+}
+
+/**
+ * Records one step of the journey.
+ * @param {string} name - snake_case, e.g. 'collection_request'
+ * @param {Object<string, string|number|boolean|null>} [props]
+ */
+export function track(name, props = {}) {
+    const event = {
+        name,
+        props,
+        session: sessionId,
+        time: new Date().toISOString(),
+        elapsed: Math.round(performance.now() - sessionStart),
+        language: getLanguage()
+    };
+
+    sinks.forEach((sink) => {
+        if (sink.requiresConsent && consent !== true) return;
+        deliver(sink, event);
+    });
+    if (consent === null && sinks.some(sink => sink.requiresConsent)) {
+        heldEvents.push(event);
+        if (heldEvents.length > MAX_HELD_EVENTS) heldEvents.shift();
+    }
+}
+
+/** Releases the held events to the consent-gated sinks, or drops them. */
+export function setAnalyticsConsent(granted) {
+    consent = Boolean(granted);
+    const gated = sinks.filter(sink => sink.requiresConsent);
+    if (consent) {
+        heldEvents.forEach(event => gated.forEach(sink => deliver(sink, event)));
+    } else {
+        gated.forEach(sink => sink.clear?.());
+    }
+    heldEvents = [];
+}
+
+export function getAnalyticsConsent() {
+    return consent;
+}
+
+export function flushAnalytics() {
+    sinks.forEach((sink) => {
+        try {
+            sink.flush?.();
+        } catch (err) {
+            console.warn(`Analytics: ${sink.name} flush failed`, err);
+        }
+    });
+}
+
+function deliver(sink, event) {
+    try {
+        sink.send(event);
+    } catch (err) {
+        console.warn(`Analytics: ${sink.name} failed`, err);
+    }
+}
+
+/** Logs every event; stays on the device, so it needs no consent. */
+export function createConsoleSink() {
+    return {
+        name: 'console',
+        send(event) {
+            console.info(`[analytics] ${event.name}`, event.props);
+        }
+    };
+}
+
+/**
+ * Batches events and posts them with navigator.sendBeacon, which survives the
+ * page closing. Body: { events: [...] }.
+ */
+export function createBeaconSink(endpoint, { batchSize = BEACON_BATCH_SIZE, flushInterval = BEACON_FLUSH_INTERVAL } = {}) {
+    let queue = [];
+    let timer = null;
+
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        if (queue.length === 0) return;
+        const body = JSON.stringify({ events: queue });
+        queue = [];
+        // text/plain keeps the beacon a simple request: no CORS preflight
+        const sent = navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+        if (!sent) {
+            fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(() => {
+                // Analytics are best effort: a lost batch is not retried
+            });
+        }
+    };
+
+    return {
+        name: 'beacon',
+        requiresConsent: true,
+        send(event) {
+            queue.push(event);
+            if (queue.length >= batchSize) {
+                flush();
+            } else if (!timer) {
+                timer = setTimeout(flush, flushInterval);
+            }
+        },
+        flush,
+        clear() {
+            queue = [];
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
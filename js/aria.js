@@ -7,26 +7,29 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
 import { getProductBounds } from './product.js';
+import { getAriaSpot } from './layout.js';
+import { findPath, createWalkCurve } from './navigation.js';
+import { isReducedMotion } from './motion.js';
+import { loadGLTF, PRIORITY } from './assets.js';
 
 let ariaModel = null;
 let ariaGroup = null;
 let highlightLight = null;
 let spotLight = null;
 let mixer = null;
+let gestureActions = new Map();
+let activeGesture = null;
+let mouthTargets = [];
+let jawBone = null;
+let jawRestX = 0;
 
 const ARIA_START_POS = new THREE.Vector3(0, 0, 2);
 
-const PRODUCT_POSITIONS = {
-    elegance: new THREE.Vector3(-6, 0, -5),
-    minimal: new THREE.Vector3(0, 0, -5),
-    luxury: new THREE.Vector3(6, 0, -5)
-};
-
 let ariaState = 'idle';
 let targetRotation = 0;
 let walkProgress = 0;
-let walkStartPos = new THREE.Vector3();
 let walkEndPos = new THREE.Vector3();
+let walkCurve = null;
 let walkDuration = 0;
 let walkElapsed = 0;
 let stepPhase = 0;
@@ -41,51 +44,73 @@ const bobFrequency = 5.5;
 const swayAmplitude = 0.015;
 const leanAmplitude = 0.01;
 const idleBreath = 0.012;
+const REDUCED_MOTION_SCALE = 0.25; // bob, sway and lean in reduced-motion mode
+
+function motionScale() {
+    return isReducedMotion() ? REDUCED_MOTION_SCALE : 1;
+}
 
 let lightIntensity = 1.0;
 let targetLightIntensity = 1.0;
 let isHighlighted = false;
 let isSpeakingState = false;
+let speechLevel = null;
+let mouthOpen = 0;
+
+// Lip-sync rig, found by name on the GLB
+const MOUTH_MORPH_PATTERN = /jaw_?open|mouth_?open|viseme_?aa|^aa$|bocca/i;
+const JAW_BONE_PATTERN = /jaw|mandible|mascella/i;
+const JAW_MAX_ANGLE = 0.22; // Radians at full loudness
+// Clips matching a gesture play once on request instead of looping
+const GESTURE_PATTERNS = {
+    point: /point|indica/i,
+    wave: /wave|greet|hello|salut/i
+};
 
 let onWalkComplete = null;
 let walkRequestId = 0;
 let pendingWalkResolve = null;
 let pendingWalkTimeout = null;
 
-export async function loadARIA(scene, loadingManager, ktx2Loader) {
-    return new Promise((resolve, reject) => {
-        const loader = new GLTFLoader(loadingManager);
-        if (ktx2Loader) loader.setKTX2Loader(ktx2Loader);
-        loader.setMeshoptDecoder(MeshoptDecoder);
-
-        loader.load(
-            './Assets/ARIA.glb',
-            (gltf) => {
-                ariaModel = gltf.scene;
-                ariaGroup = new THREE.Group();
-                ariaGroup.add(ariaModel);
-                ariaGroup.position.copy(ARIA_START_POS);
-                ariaModel.scale.setScalar(1.35); // Enlaged ARIA
-
-                if (gltf.animations && gltf.animations.length > 0) {
-                    mixer = new THREE.AnimationMixer(ariaModel);
-                    gltf.animations.forEach((clip) => {
-                        const action = mixer.clipAction(clip);
-                        action.timeScale = 0.8; // Slow down animation itself to match walk
-                        action.play();
-                    });
-                }
+export async function loadARIA(scene, ktx2Loader) {
+    const loader = new GLTFLoader();
+    if (ktx2Loader) loader.setKTX2Loader(ktx2Loader);
+    loader.setMeshoptDecoder(MeshoptDecoder);
 
-                setupARIAMaterials();
-                setupARIALighting(scene);
+    const gltf = await loadGLTF(loader, './Assets/ARIA.glb', { priority: PRIORITY.essential, group: 'essential' });
+    ariaModel = gltf.scene;
+    ariaGroup = new THREE.Group();
+    ariaGroup.add(ariaModel);
+    ariaGroup.position.copy(ARIA_START_POS);
+    ariaModel.scale.setScalar(1.35); // Enlaged ARIA
+
+    if (gltf.animations && gltf.animations.length > 0) {
+        mixer = new THREE.AnimationMixer(ariaModel);
+        gltf.animations.forEach((clip) => {
+            const action = mixer.clipAction(clip);
+            const gesture = Object.keys(GESTURE_PATTERNS).find(kind => GESTURE_PATTERNS[kind].test(clip.name));
+            if (gesture && !gestureActions.has(gesture)) {
+                action.setLoop(THREE.LoopOnce, 1);
+                gestureActions.set(gesture, action);
+                return;
+            }
+            action.timeScale = 0.8; // Slow down animation itself to match walk
+            action.play();
+        });
+        mixer.addEventListener('finished', (event) => {
+            if (event.action === activeGesture) {
+                activeGesture.fadeOut(0.4);
+                activeGesture = null;
+            }
+        });
+    }
 
-                scene.add(ariaGroup);
-                resolve(ariaModel);
-            },
-            undefined,
-            reject
-        );
-    });
+    setupLipSync();
+    setupARIAMaterials();
+    setupARIALighting(scene);
+
+    scene.add(ariaGroup);
+    return ariaModel;
 }
 
 function setupARIAMaterials() {
@@ -114,6 +139,25 @@ function setupARIAMaterials() {
     });
 }
 
+function setupLipSync() {
+    mouthTargets = [];
+    jawBone = null;
+    ariaModel.traverse((child) => {
+        if (child.morphTargetDictionary && child.morphTargetInfluences) {
+            Object.entries(child.morphTargetDictionary).forEach(([name, index]) => {
+                if (MOUTH_MORPH_PATTERN.test(name)) mouthTargets.push({ mesh: child, index });
+            });
+        }
+        if (!jawBone && child.isBone && JAW_BONE_PATTERN.test(child.name)) {
+            jawBone = child;
+            jawRestX = child.rotation.x;
+        }
+    });
+    if (!mouthTargets.length && !jawBone) {
+        console.warn('ARIA has no mouth morph targets or jaw bone: lip-sync disabled');
+    }
+}
+
 function setupARIALighting(scene) {
     highlightLight = new THREE.PointLight(0xffffff, 3.0, 8);
     highlightLight.position.set(0, 2, 0);
@@ -171,14 +215,15 @@ export function walkToPosition(targetPos) {
 
         onWalkComplete = pendingWalkResolve;
 
-        walkStartPos.copy(ariaGroup.position);
         walkEndPos.copy(targetPos);
         walkEndPos.y = 0;
         walkProgress = 0;
         walkElapsed = 0;
         stepPhase = 0;
 
-        const walkDistance = walkStartPos.distanceTo(walkEndPos);
+        // Route around products, the fireplace and the walls
+        walkCurve = createWalkCurve(findPath(ariaGroup.position, walkEndPos));
+        const walkDistance = walkCurve.getLength();
         walkDuration = Math.max(3.6, walkDistance / walkSpeed);
 
         // Timeout based on distance, with a safety cap
@@ -189,6 +234,7 @@ export function walkToPosition(targetPos) {
                 console.warn("ARIA walk timeout - Forcing complete callback");
                 ariaGroup.position.copy(walkEndPos);
                 ariaGroup.position.y = 0;
+                walkCurve = null;
                 if (onWalkComplete) {
                     const cb = onWalkComplete;
                     onWalkComplete = null;
@@ -198,9 +244,9 @@ export function walkToPosition(targetPos) {
             }
         }, safetyTimeoutMs);
 
-        const dirToTarget = new THREE.Vector3();
-        dirToTarget.subVectors(walkEndPos, ariaGroup.position);
-        targetRotation = Math.atan2(dirToTarget.x, dirToTarget.z);
+        // Face the first leg of the path, not the final destination
+        const firstHeading = walkCurve.getTangentAt(0);
+        targetRotation = Math.atan2(firstHeading.x, firstHeading.z);
 
         ariaState = 'turning_to_target';
     });
@@ -211,39 +257,14 @@ export function walkToStart() {
 }
 
 export function walkToProduct(collectionName) {
-    const targetBase = PRODUCT_POSITIONS[collectionName] || PRODUCT_POSITIONS.elegance;
-    const targetPos = targetBase.clone();
-    const bounds = getProductBounds(collectionName);
-    const radius = bounds ? bounds.radius : 1.6;
-    const clearance = 1.1;
-    const frontOffset = Math.max(1.6, radius + clearance);
-    const sideOffset = Math.min(1.6, Math.max(0.9, radius * 0.35));
-
-    if (collectionName === 'minimal') {
-        targetPos.x += 0;
-        targetPos.z += frontOffset;
-    } else if (collectionName === 'luxury') {
-        targetPos.x -= sideOffset;
-        targetPos.z += frontOffset;
-    } else {
-        targetPos.x += sideOffset;
-        targetPos.z += frontOffset;
-    }
-
-    const productPos = bounds ? bounds.center.clone() : targetBase.clone();
-    const offset = targetPos.clone().sub(productPos);
-    offset.y = 0;
-    const minDistance = radius + clearance;
-    if (offset.length() < minDistance) {
-        offset.setLength(minDistance);
-        targetPos.copy(productPos).add(offset);
-        targetPos.y = 0;
-    }
-
-    return walkToPosition(targetPos);
+    return walkToPosition(getAriaSpot(collectionName, getProductBounds(collectionName)));
 }
 
-export function updateARIA(elapsed, camera, isSpeaking) {
+/**
+ * @param {number|null} [level] - narration loudness 0..1 from AudioSystem.getOutputLevel(),
+ *   null when unavailable (procedural pulse instead)
+ */
+export function updateARIA(elapsed, camera, isSpeaking, level = null) {
     if (!ariaGroup) return;
 
     const rawDelta = elapsed - lastUpdateTime;
@@ -252,6 +273,7 @@ export function updateARIA(elapsed, camera, isSpeaking) {
     if (mixer) mixer.update(delta);
 
     isSpeakingState = isSpeaking;
+    speechLevel = isSpeaking ? level : null;
     if (spotLight && spotLight.target) {
         spotLight.target.position.copy(ariaGroup.position);
     }
@@ -263,6 +285,7 @@ export function updateARIA(elapsed, camera, isSpeaking) {
         case 'turning_to_camera': updateTurningToCamera(delta, camera); break;
         case 'speaking': updateSpeaking(elapsed, delta, camera); break;
     }
+    updateMouth(elapsed, delta);
     updateLightState(elapsed);
 }
 
@@ -289,10 +312,11 @@ function dampRotation(current, target, speed, dt) {
 }
 
 function updateIdle(elapsed, delta, camera) {
-    ariaGroup.position.y = Math.sin(elapsed * 0.7) * idleBreath;
+    const scale = motionScale();
+    ariaGroup.position.y = Math.sin(elapsed * 0.7) * idleBreath * scale;
 
-    const idleSway = Math.sin(elapsed * 0.5) * swayAmplitude * 0.6;
-    const idleLean = Math.sin(elapsed * 0.6) * leanAmplitude * 0.6;
+    const idleSway = Math.sin(elapsed * 0.5) * swayAmplitude * 0.6 * scale;
+    const idleLean = Math.sin(elapsed * 0.6) * leanAmplitude * 0.6 * scale;
 
     ariaGroup.rotation.z = THREE.MathUtils.damp(ariaGroup.rotation.z, idleSway, 3.5, delta);
     ariaGroup.rotation.x = THREE.MathUtils.damp(ariaGroup.rotation.x, idleLean, 3.5, delta);
@@ -316,22 +340,29 @@ function updateWalking(elapsed, delta) {
     walkProgress = Math.min(1, walkElapsed / safeDuration);
     const eased = walkProgress * walkProgress * (3 - 2 * walkProgress);
 
-    if (walkProgress >= 1) {
+    if (walkProgress >= 1 || !walkCurve) {
         walkProgress = 1;
         ariaGroup.position.copy(walkEndPos);
         ariaGroup.position.y = 0;
         ariaGroup.rotation.x = 0;
         ariaGroup.rotation.z = 0;
+        walkCurve = null;
         ariaState = 'turning_to_camera';
     } else {
-        ariaGroup.position.lerpVectors(walkStartPos, walkEndPos, eased);
+        ariaGroup.position.copy(walkCurve.getPointAt(eased));
+
+        // Turn with the path at each waypoint
+        const heading = walkCurve.getTangentAt(eased);
+        const res = dampRotation(ariaGroup.rotation.y, Math.atan2(heading.x, heading.z), turnSpeed * 1.5, delta);
+        ariaGroup.rotation.y = res.value;
 
         stepPhase += delta * bobFrequency * 1.15;
+        const scale = motionScale();
         const stride = Math.sin(stepPhase);
-        const bob = Math.abs(stride) * bobAmplitude;
+        const bob = Math.abs(stride) * bobAmplitude * scale;
         ariaGroup.position.y = bob;
-        ariaGroup.rotation.z = stride * swayAmplitude;
-        ariaGroup.rotation.x = Math.sin(stepPhase * 0.5) * leanAmplitude;
+        ariaGroup.rotation.z = stride * swayAmplitude * scale;
+        ariaGroup.rotation.x = Math.sin(stepPhase * 0.5) * leanAmplitude * scale;
 
         if (!mixer) {
             ariaModel.rotation.z = stride * 0.01;
@@ -365,10 +396,11 @@ function updateTurningToCamera(delta, camera) {
 }
 
 function updateSpeaking(elapsed, delta, camera) {
-    ariaGroup.position.y = Math.sin(elapsed * 0.8) * idleBreath;
+    const scale = motionScale();
+    ariaGroup.position.y = Math.sin(elapsed * 0.8) * idleBreath * scale;
     lookAtCamera(camera, delta, 1.1); // Slow tracking
 
-    const speakLean = isSpeakingState ? Math.sin(elapsed * 1.4) * leanAmplitude * 0.8 : 0;
+    const speakLean = isSpeakingState ? Math.sin(elapsed * 1.4) * leanAmplitude * 0.8 * scale : 0;
     ariaGroup.rotation.x = THREE.MathUtils.damp(ariaGroup.rotation.x, speakLean, 3.2, delta);
     ariaGroup.rotation.z = THREE.MathUtils.damp(ariaGroup.rotation.z, 0, 3.2, delta);
 
@@ -389,8 +421,28 @@ function lookAtCamera(camera, delta, speed) {
     ariaGroup.rotation.y = res.value;
 }
 
+function updateMouth(elapsed, delta) {
+    let target = speechLevel ?? 0;
+    if (isSpeakingState && speechLevel === null) {
+        // No analyser (e.g. audio context blocked): a soft talking rhythm
+        target = 0.2 + Math.max(0, Math.sin(elapsed * 13) * Math.sin(elapsed * 3.1)) * 0.35;
+    }
+    // Opens fast on syllables, closes a little slower so the mouth does not flicker
+    const rate = target > mouthOpen ? 28 : 14;
+    mouthOpen = THREE.MathUtils.damp(mouthOpen, target, rate, delta);
+
+    mouthTargets.forEach(({ mesh, index }) => {
+        mesh.morphTargetInfluences[index] = mouthOpen;
+    });
+    if (jawBone) {
+        jawBone.rotation.x = jawRestX + mouthOpen * JAW_MAX_ANGLE;
+    }
+}
+
 function updateLightState(elapsed) {
-    if (isSpeakingState) {
+    if (isSpeakingState && speechLevel !== null) {
+        targetLightIntensity = 1.7 + mouthOpen * 0.9;
+    } else if (isSpeakingState) {
         targetLightIntensity = 2.0 + Math.sin(elapsed * 5) * 0.3;
     } else {
         targetLightIntensity = 1.0;
@@ -399,9 +451,28 @@ function updateLightState(elapsed) {
     if (highlightLight) highlightLight.intensity = lightIntensity * 3.0;
 }
 
+/**
+ * Plays a one-shot gesture clip from the GLB over the looping animation.
+ * @param {'point'|'wave'} kind
+ * @returns {boolean} false when the model has no clip for it
+ */
+export function playARIAGesture(kind) {
+    const action = gestureActions.get(kind);
+    if (!action) return false;
+    if (activeGesture && activeGesture !== action) {
+        activeGesture.fadeOut(0.3);
+    }
+    action.reset();
+    action.fadeIn(0.3);
+    action.play();
+    activeGesture = action;
+    return true;
+}
+
 export function resetToStart() {
     if (!ariaGroup) return;
     ariaState = 'idle';
+    walkCurve = null;
     ariaGroup.position.copy(ARIA_START_POS);
     ariaGroup.rotation.y = 0;
     ariaGroup.rotation.x = 0;
@@ -413,6 +484,28 @@ export function resetToStart() {
     lastUpdateTime = 0;
 }
 
+/**
+ * True while ARIA visibly moves: walking or turning, talking, playing a gesture
+ * or easing her highlight light. Idle breathing does not count.
+ */
+export function isARIAAnimating() {
+    if (ariaState !== 'idle' && ariaState !== 'speaking') return true;
+    if (isSpeakingState || activeGesture) return true;
+    return mouthOpen > 0.01 || Math.abs(targetLightIntensity - lightIntensity) > 0.01;
+}
+
+/**
+ * Point on ARIA's current walk path a given distance ahead of her, or null when
+ * she is not walking. Lets the follow camera anticipate turns.
+ */
+export function getARIAPathAhead(distance = 1.5) {
+    if (!walkCurve || (ariaState !== 'walking' && ariaState !== 'turning_to_target')) return null;
+    const length = Math.max(walkCurve.getLength(), 0.001);
+    const eased = walkProgress * walkProgress * (3 - 2 * walkProgress);
+    const t = Math.min(1, eased + distance / length);
+    return walkCurve.getPointAt(t);
+}
+
 export function getARIAPosition() {
     return ariaGroup ? ariaGroup.position.clone() : ARIA_START_POS.clone();
 }
@@ -0,0 +1,179 @@
+/**
+ * Asset Streaming
+ * Prioritised download queue for the GLB models. The room and ARIA ('essential')
+ * go first; the sofas stream in the background two at a time, and a sofa the
+ * visitor asks for jumps the queue. Progress is reported per asset, in bytes.
+ */
+
+import * as THREE from 'three';
+
+export const PRIORITY = {
+    background: 0,
+    requested: 1,
+    essential: 2
+};
+
+const MAX_BACKGROUND_DOWNLOADS = 2;
+const UNKNOWN_SIZE = 2 * 1024 * 1024; // counted for servers that send no Content-Length
+
+const assets = new Map();
+const listeners = new Set();
+let order = 0;
+
+/**
+ * Queues a download, or returns the one already queued for the URL.
+ * @param {string} url
+ * @param {{ priority?: number, group?: string }} [options] - group: progress bucket, e.g. 'essential'
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function loadAsset(url, options = {}) {
+    const existing = assets.get(url);
+    if (existing) {
+        prioritizeAsset(url, options.priority ?? PRIORITY.background);
+        return existing.promise;
+    }
+
+    const entry = {
+        url,
+        group: options.group || 'background',
+        priority: options.priority ?? PRIORITY.background,
+        order: order++,
+        state: 'queued',
+        loaded: 0,
+        total: 0,
+        resolve: null,
+        reject: null,
+        promise: null
+    };
+    entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+    });
+    assets.set(url, entry);
+    pump();
+    return entry.promise;
+}
+
+/** Raises a queued download; one already running keeps going as it is. */
+export function prioritizeAsset(url, priority = PRIORITY.requested) {
+    const entry = assets.get(url);
+    if (!entry || entry.priority >= priority) return;
+    entry.priority = priority;
+    pump();
+}
+
+/**
+ * Downloads and parses a glTF binary through the queue.
+ * @param {import('three/addons/loaders/GLTFLoader.js').GLTFLoader} loader
+ * @returns {Promise<object>} the parsed glTF
+ */
+export async function loadGLTF(loader, url, options = {}) {
+    const buffer = await loadAsset(url, options);
+    return new Promise((resolve, reject) => {
+        loader.parse(buffer, THREE.LoaderUtils.extractUrlBase(url), resolve, reject);
+    });
+}
+
+/**
+ * @param {(asset: { url: string, group: string, loaded: number, total: number, done: boolean }) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function onAssetProgress(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/** Bytes loaded and expected for a group, across the assets queued so far. */
+export function getGroupProgress(group) {
+    let loaded = 0;
+    let total = 0;
+    assets.forEach((entry) => {
+        if (entry.group !== group) return;
+        loaded += entry.loaded;
+        total += entry.state === 'done' ? entry.loaded : Math.max(entry.total || UNKNOWN_SIZE, entry.loaded);
+    });
+    return { loaded, total, fraction: total > 0 ? loaded / total : 1 };
+}
+
+// Urgent downloads start right away; background ones wait for a free slot and
+// for every more urgent download to finish
+function pump() {
+    const queued = [...assets.values()]
+        .filter(entry => entry.state === 'queued')
+        .sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+    for (const entry of queued) {
+        if (entry.priority === PRIORITY.background) {
+            const running = [...assets.values()].filter(other => other.state === 'loading');
+            if (running.length >= MAX_BACKGROUND_DOWNLOADS || running.some(other => other.priority > entry.priority)) break;
+        }
+        start(entry);
+    }
+}
+
+async function start(entry) {
+    entry.state = 'loading';
+    try {
+        const buffer = await download(entry);
+        entry.state = 'done';
+        entry.loaded = buffer.byteLength;
+        entry.total = buffer.byteLength;
+        notify(entry);
+        entry.resolve(buffer);
+    } catch (err) {
+        entry.state = 'failed';
+        notify(entry);
+        entry.reject(err);
+    }
+    pump();
+}
+
+async function download(entry) {
+    const response = await fetch(entry.url);
+    if (!response.ok) {
+        throw new Error(`${entry.url}: request failed (${response.status})`);
+    }
+    const length = Number(response.headers.get('Content-Length'));
+    if (length > 0) entry.total = length;
+    notify(entry);
+
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        return response.arrayBuffer();
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        entry.loaded += value.byteLength;
+        notify(entry);
+    }
+
+    const bytes = new Uint8Array(entry.loaded);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    });
+    return bytes.buffer;
+}
+
+function notify(entry) {
+    const snapshot = {
+        url: entry.url,
+        group: entry.group,
+        loaded: entry.loaded,
+        // Compressed responses report the transfer size: never show more than 100%
+        total: Math.max(entry.total, entry.loaded),
+        done: entry.state === 'done' || entry.state === 'failed'
+    };
+    listeners.forEach((listener) => {
+        try {
+            listener(snapshot);
+        } catch (err) {
+            console.error('Asset progress listener failed', err);
+        }
+    });
+}
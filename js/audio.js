@@ -1,22 +1,35 @@
 /**
  * Audio System
- * Plays pre-recorded narration tracks based on moment name.
+ * Plays pre-recorded narration tracks based on moment name, in the active language.
  */
 
+import { getCollections } from './catalog.js';
+import { getLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+import { loadSubtitles, findCue } from './subtitles.js';
+
 const AUDIO_BASE_PATH = './Audio/';
 
+// Fixed moments; collection narrations come from the catalog.
 const AUDIO_TRACKS = {
-    apertura: 'Apertura.mp3',
-    'collezione-elegance': 'Collezione-Elegance.mp3',
-    'collezione-minimal': 'Collezione-Minimal.mp3',
-    'collezione-luxury': 'Collezione-Luxury.mp3'
+    apertura: { it: 'Apertura.mp3' }
 };
 
+// WebVTT cue files for the fixed moments, same shape: apertura: { it: 'Apertura.vtt' }.
+// Only declared cues are fetched (list them in sw.js MEDIA_FILES too)
+const AUDIO_SUBTITLES = {};
+
 export class AudioSystem {
     constructor() {
         this.tracks = new Map();
+        this.sources = new Map();
+        this.audioCache = new Map();
+        this.subtitles = new Map();
+        this.cueUrls = new WeakMap();
+        this.language = getLanguage();
         this.current = null;
         this.speaking = false;
+        // Narration volume, 0..1 (kiosk attract mode plays it low or muted)
+        this.volume = 1;
         this.unlocked = false;
         this.unlocking = false;
         this.unlockToken = 0;
@@ -24,15 +37,85 @@ export class AudioSystem {
         this.playToken = 0;
         this.preparedKey = null;
         this.preparedAudio = null;
+        this.activeCue = null;
+        this.cueFrame = null;
+        // Called with the cue text while narration plays, null when nothing is said
+        this.onCueChange = null;
+        // Web Audio analyser on the narration, for lip-sync
+        this.audioContext = null;
+        this.analyser = null;
+        this.analyserData = null;
+        this.analysedElements = new WeakSet();
         this.loadTracks();
     }
 
     loadTracks() {
-        Object.entries(AUDIO_TRACKS).forEach(([key, filename]) => {
-            const audio = new Audio(`${AUDIO_BASE_PATH}${filename}`);
+        const withBasePath = files => Object.fromEntries(Object.entries(files)
+            .map(([language, filename]) => [language, `${AUDIO_BASE_PATH}${filename}`]));
+        Object.entries(AUDIO_TRACKS).forEach(([key, files]) => {
+            this.addTrack(key, withBasePath(files), AUDIO_SUBTITLES[key] ? withBasePath(AUDIO_SUBTITLES[key]) : null);
+        });
+        getCollections().forEach((entry) => {
+            if (entry.narration) {
+                this.addTrack(`collezione-${entry.id}`, entry.narration, entry.subtitles);
+            }
+        });
+    }
+
+    /**
+     * @param {string|Object<string, string>} src - one file for every language, or one per language
+     * @param {string|Object<string, string>|null} [subtitles] - the cue files, same shape
+     */
+    addTrack(key, src, subtitles = null) {
+        const perLanguage = value => (typeof value === 'string' ? { [DEFAULT_LANGUAGE]: value } : value);
+        this.sources.set(key, perLanguage(src));
+        this.subtitles.set(key, subtitles ? perLanguage(subtitles) : {});
+        this.tracks.set(key, this.getAudio(key, this.language));
+    }
+
+    getAudio(key, language) {
+        const sources = this.sources.get(key);
+        const resolved = sources[language] ? language : (sources[DEFAULT_LANGUAGE] ? DEFAULT_LANGUAGE : Object.keys(sources)[0]);
+        const cacheKey = `${resolved}:${key}`;
+        if (!this.audioCache.has(cacheKey)) {
+            const audio = new Audio(sources[resolved]);
             audio.preload = 'auto';
-            this.tracks.set(key, audio);
+            audio.volume = this.volume;
+            // Cues belong to the recording: an Italian fallback keeps the Italian ones
+            const cueUrl = this.subtitles.get(key)?.[resolved];
+            if (cueUrl) this.cueUrls.set(audio, cueUrl);
+            if (resolved !== DEFAULT_LANGUAGE && sources[DEFAULT_LANGUAGE]) {
+                // Recording not available in this language: narrate in Italian rather than stay silent
+                audio.addEventListener('error', () => {
+                    const fallback = this.getAudio(key, DEFAULT_LANGUAGE);
+                    this.audioCache.set(cacheKey, fallback);
+                    // playMoment() restarts on the fallback if this was playing
+                    if (this.tracks.get(key) === audio) {
+                        this.tracks.set(key, fallback);
+                    }
+                }, { once: true });
+            }
+            this.audioCache.set(cacheKey, audio);
+        }
+        return this.audioCache.get(cacheKey);
+    }
+
+    setLanguage(language) {
+        if (language === this.language) return;
+        this.stop();
+        this.language = language;
+        this.sources.forEach((sources, key) => {
+            this.tracks.set(key, this.getAudio(key, language));
+        });
+    }
+
+    setVolume(level) {
+        this.volume = Math.min(1, Math.max(0, Number(level) || 0));
+        this.audioCache.forEach((audio) => {
+            audio.volume = this.volume;
         });
+        // Some mobile browsers ignore volume: silence has to go through muted
+        if (this.current) this.current.muted = this.volume === 0;
     }
 
     hasMoment(key) {
@@ -76,6 +159,7 @@ export class AudioSystem {
 
     stop() {
         this.playToken += 1;
+        this.stopCueSync();
         if (this.preparedAudio) {
             this.preparedAudio.pause();
             this.preparedAudio.currentTime = 0;
@@ -97,6 +181,10 @@ export class AudioSystem {
     }
 
     unlock(preferredKey = 'apertura') {
+        // Created inside the user gesture so the context starts running
+        if (this.ensureAnalyser() && this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
         if (this.unlocked || this.unlocking) return;
         const audio = this.tracks.get(preferredKey) || this.tracks.values().next().value;
         if (!audio) return;
@@ -201,23 +289,35 @@ export class AudioSystem {
         const token = ++this.playToken;
         this.current = audio;
         this.current.currentTime = 0;
-        this.current.muted = false;
+        this.current.muted = this.volume === 0;
         this.current.loop = false;
         if (this.current.readyState === 0) {
             this.current.load();
         }
         this.setSpeaking(true);
+        this.connectAnalyser(audio);
+        this.startCueSync(audio, token);
 
         return new Promise((resolve) => {
             this.current.onended = () => {
                 if (token !== this.playToken) return;
+                this.stopCueSync();
                 this.setSpeaking(false);
                 this.current = null;
                 resolve(true);
             };
             this.current.onerror = (event) => {
                 if (token !== this.playToken) return;
+                if (this.tracks.get(key) !== audio) {
+                    // Missing in this language: getAudio() swapped in the Italian recording
+                    audio.onended = null;
+                    audio.onerror = null;
+                    this.current = null;
+                    resolve(this.playMoment(key));
+                    return;
+                }
                 console.warn('Audio playback error', event);
+                this.stopCueSync();
                 this.setSpeaking(false);
                 this.current = null;
                 resolve(false);
@@ -233,13 +333,17 @@ export class AudioSystem {
             if (playPromise && typeof playPromise.catch === 'function') {
                 playPromise.catch((error) => {
                     if (token !== this.playToken) return;
+                    // A failed source is handled by onerror, which may retry in Italian
+                    if (audio.error) return;
                     if (error && error.name === 'AbortError') {
+                        this.stopCueSync();
                         this.setSpeaking(false);
                         this.current = null;
                         resolve(false);
                         return;
                     }
                     console.warn('Audio playback failed', error);
+                    this.stopCueSync();
                     this.setSpeaking(false);
                     this.current = null;
                     resolve(false);
@@ -248,6 +352,103 @@ export class AudioSystem {
         });
     }
 
+    ensureAnalyser() {
+        if (this.analyser) return this.analyser;
+        const Context = window.AudioContext || window.webkitAudioContext;
+        if (!Context) return null;
+        try {
+            this.audioContext = new Context();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.analyser.smoothingTimeConstant = 0.4;
+            this.analyser.connect(this.audioContext.destination);
+            this.analyserData = new Float32Array(this.analyser.fftSize);
+        } catch (err) {
+            console.warn('Audio analyser unavailable', err);
+            this.audioContext = null;
+            this.analyser = null;
+        }
+        return this.analyser;
+    }
+
+    connectAnalyser(audio) {
+        if (!this.analyser || this.analysedElements.has(audio)) return;
+        // A routed element only sounds through the context: never route it into a
+        // context the browser has not allowed to start
+        if (this.audioContext.state !== 'running') return;
+        try {
+            this.audioContext.createMediaElementSource(audio).connect(this.analyser);
+            this.analysedElements.add(audio);
+        } catch (err) {
+            console.warn('Unable to analyse narration track', err);
+        }
+    }
+
+    /**
+     * Loudness of the narration being played, 0 (silence) to 1, or null when it
+     * cannot be measured and callers should fall back to procedural motion.
+     */
+    getOutputLevel() {
+        if (!this.speaking || !this.current || !this.analysedElements.has(this.current)) return null;
+        this.analyser.getFloatTimeDomainData(this.analyserData);
+        let sum = 0;
+        for (let i = 0; i < this.analyserData.length; i++) {
+            sum += this.analyserData[i] * this.analyserData[i];
+        }
+        const rms = Math.sqrt(sum / this.analyserData.length);
+        // Speech peaks around 0.2-0.3 RMS
+        return Math.min(1, rms * 4);
+    }
+
+    /**
+     * Fills data with time-domain samples of the narration being played (for the
+     * voice bar waveform). Returns false when it cannot be measured.
+     */
+    getWaveform(data) {
+        if (!this.speaking || !this.current || !this.analysedElements.has(this.current)) return false;
+        this.analyser.getFloatTimeDomainData(data);
+        return true;
+    }
+
+    // Follows the playing track's cue file frame by frame. Tracks without one
+    // never emit, so callers can keep a static caption on screen
+    startCueSync(audio, token) {
+        const url = this.cueUrls.get(audio);
+        if (!url) return;
+        loadSubtitles(url).then((cues) => {
+            if (!cues || token !== this.playToken) return;
+            let first = true;
+            const tick = () => {
+                if (token !== this.playToken) return;
+                const cue = findCue(cues, audio.currentTime);
+                if (cue !== this.activeCue || first) {
+                    first = false;
+                    this.activeCue = cue;
+                    this.emitCue(cue ? cue.text : null);
+                }
+                this.cueFrame = requestAnimationFrame(tick);
+            };
+            tick();
+        });
+    }
+
+    stopCueSync() {
+        if (this.cueFrame !== null) {
+            cancelAnimationFrame(this.cueFrame);
+            this.cueFrame = null;
+        }
+        if (this.activeCue) {
+            this.activeCue = null;
+            this.emitCue(null);
+        }
+    }
+
+    emitCue(text) {
+        if (typeof this.onCueChange === 'function') {
+            this.onCueChange(text);
+        }
+    }
+
     playApertura() {
         return this.playMoment('apertura');
     }
@@ -5,8 +5,10 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { getARIAPosition } from './aria.js';
+import { getARIAPosition, getARIAPathAhead, ARIA_START_POS } from './aria.js';
 import { getProductPosition, activateProductSpotlight, getProductBounds } from './product.js';
+import { getProductLayout, getHeroCamera, clampToRoom } from './layout.js';
+import { isReducedMotion } from './motion.js';
 
 const CAMERA_POSITIONS = {
     start: {
@@ -16,6 +18,11 @@ const CAMERA_POSITIONS = {
     }
 };
 
+// Reduced-motion mode: length of a crossfade cut (seconds) and the angles of the
+// still framings that replace the 360° product orbit, relative to the current view
+const CUT_DURATION = 0.5;
+const STILL_FRAMING_ANGLES = [0.45, -0.45, 0];
+
 export class CameraController {
     constructor(camera, renderer) {
         this.camera = camera;
@@ -36,7 +43,11 @@ export class CameraController {
         this.transitionTween = null;
         this.lastAriaPos = new THREE.Vector3();
         this.ariaVelocity = new THREE.Vector3();
+        this.followDirection = new THREE.Vector3(0, 0, -1);
         this.orbitTarget = new THREE.Vector3();
+        this.stillTimer = null;
+        this.orbitMoving = false;
+        this.orbitGlide = null;
 
         // Orbit Controls
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
@@ -63,6 +74,7 @@ export class CameraController {
             const ariaPos = getARIAPosition();
             this.lastAriaPos.copy(ariaPos);
             this.ariaVelocity.set(0, 0, 0);
+            this.followDirection.set(0, 0, -1);
         }
     }
 
@@ -92,11 +104,86 @@ export class CameraController {
     }
 
     disableOrbitMode() {
+        this.stopOrbitGlide();
         this.isOrbiting = false;
+        this.orbitMoving = false;
         this.controls.enabled = false;
         this.currentTarget.copy(this.controls.target);
     }
 
+    /** True while the camera moves on its own or OrbitControls is still easing out. */
+    isAnimating() {
+        return this.isTransitioning || this.isTouring || this.isFollowingARIA || this.orbitMoving || Boolean(this.orbitGlide);
+    }
+
+    /** Current camera position and the point it looks at, for sharing a view. */
+    getViewpoint() {
+        return {
+            position: this.camera.position.clone(),
+            lookAt: (this.isOrbiting ? this.controls.target : this.currentTarget).clone()
+        };
+    }
+
+    /**
+     * Keyboard orbit: turns the camera around the orbit target by the given angles
+     * (radians), within the same polar limits as the pointer controls.
+     */
+    orbitBy(azimuth, polar = 0) {
+        if (!this.isOrbiting) return;
+        const offset = this.camera.position.clone().sub(this.orbitTarget);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta += azimuth;
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi + polar, this.controls.minPolarAngle, this.controls.maxPolarAngle);
+        spherical.makeSafe();
+        this.camera.position.copy(this.orbitTarget).add(offset.setFromSpherical(spherical));
+        this.controls.update();
+    }
+
+    /** Keyboard zoom: factor < 1 moves closer, clamped to the orbit distance limits. */
+    zoomBy(factor) {
+        if (!this.isOrbiting) return;
+        const offset = this.camera.position.clone().sub(this.orbitTarget);
+        const distance = THREE.MathUtils.clamp(offset.length() * factor, this.controls.minDistance, this.controls.maxDistance);
+        this.camera.position.copy(this.orbitTarget).add(offset.setLength(distance));
+        this.controls.update();
+    }
+
+    /**
+     * Spoken orbit ("giralo", "avvicinati"): the turn of orbitBy and the zoom factor
+     * of zoomBy eased over `duration` seconds. Reduced motion applies them at once.
+     */
+    glideOrbit({ azimuth = 0, polar = 0, zoom = 1 }, duration = 1.2) {
+        if (!this.isOrbiting) return;
+        this.stopOrbitGlide();
+        if (isReducedMotion() || typeof gsap === 'undefined') {
+            this.orbitBy(azimuth, polar);
+            if (zoom !== 1) this.zoomBy(zoom);
+            return;
+        }
+        const glide = { progress: 0 };
+        let applied = 0;
+        this.orbitGlide = gsap.to(glide, {
+            progress: 1,
+            duration,
+            ease: 'power2.inOut',
+            onUpdate: () => {
+                const step = glide.progress - applied;
+                applied = glide.progress;
+                this.orbitBy(azimuth * step, polar * step);
+                if (zoom !== 1) this.zoomBy(Math.pow(zoom, step));
+            },
+            onComplete: () => {
+                this.orbitGlide = null;
+            }
+        });
+    }
+
+    stopOrbitGlide() {
+        if (!this.orbitGlide) return;
+        this.orbitGlide.kill();
+        this.orbitGlide = null;
+    }
+
     cancelTransition() {
         if (typeof gsap !== 'undefined') {
             gsap.killTweensOf(this.camera.position);
@@ -104,6 +191,9 @@ export class CameraController {
             if (this.transitionTween) {
                 this.transitionTween.kill();
             }
+            // A cut interrupted mid-fade must not leave the scene covered
+            const fade = document.getElementById('scene-fade');
+            if (fade) gsap.set(fade, { opacity: 0 });
         }
         this.transitionTween = null;
         if (this.transitionResolve) {
@@ -114,9 +204,70 @@ export class CameraController {
         }
     }
 
+    /**
+     * Reduced-motion replacement for a camera move: the view fades out, the camera
+     * jumps, the view fades back in. Returns the GSAP timeline, or null without GSAP.
+     */
+    cutTo(position, lookAt, duration = CUT_DURATION) {
+        const fade = document.getElementById('scene-fade');
+        const place = () => {
+            this.camera.position.copy(position);
+            this.currentTarget.copy(lookAt);
+            this.camera.lookAt(this.currentTarget);
+        };
+        if (typeof gsap === 'undefined' || !fade) {
+            place();
+            return null;
+        }
+        return gsap.timeline()
+            .to(fade, { opacity: 1, duration: duration / 2, ease: 'power1.in' })
+            .call(place)
+            .to(fade, { opacity: 0, duration: duration / 2, ease: 'power1.out' });
+    }
+
+    /**
+     * Shows each framing for an equal share of the duration, joined by cuts.
+     * Behaves like a non-looping tour: stopTour() ends it and resolves the promise.
+     * @param {{ position: THREE.Vector3, lookAt: THREE.Vector3 }[]} framings
+     */
+    playStillFramings(framings, duration) {
+        if (this.isOrbiting) this.disableOrbitMode();
+        this.cancelTransition();
+        this.clearStillFramings();
+
+        // update() holds the camera while touring without a path
+        this.isTouring = true;
+        this.tourPath = null;
+        this.tourLookPath = null;
+        this.isFollowingARIA = false;
+        this.isTransitioning = false;
+        this.controls.enabled = false;
+
+        const hold = Math.max(duration / Math.max(framings.length, 1), CUT_DURATION);
+        return new Promise((resolve) => {
+            this.onTourComplete = resolve;
+            const show = (index) => {
+                if (!this.isTouring) return;
+                if (index >= framings.length) {
+                    this.stopTour();
+                    return;
+                }
+                this.transitionTween = this.cutTo(framings[index].position, framings[index].lookAt);
+                this.stillTimer = setTimeout(() => show(index + 1), hold * 1000);
+            };
+            show(0);
+        });
+    }
+
+    clearStillFramings() {
+        clearTimeout(this.stillTimer);
+        this.stillTimer = null;
+    }
+
     startTour(pathPoints, lookPoints, options = {}) {
         if (this.isOrbiting) this.disableOrbitMode();
         this.cancelTransition();
+        this.clearStillFramings();
 
         this.isTouring = true;
         this.isFollowingARIA = false;
@@ -139,6 +290,7 @@ export class CameraController {
     }
 
     stopTour() {
+        this.clearStillFramings();
         if (!this.isTouring) return;
         this.isTouring = false;
         if (this.onTourComplete) {
@@ -200,8 +352,25 @@ export class CameraController {
             this.camera.position.x - target.x
         );
 
-        if (Math.abs(target.x) > 4) {
-            radius = Math.max(baseRadius, Math.min(radius, 3.8));
+        // Products along the side walls leave less room for a full orbit
+        const placement = getProductLayout(collectionName);
+        if (placement && Number.isFinite(placement.maxOrbitRadius)) {
+            const minRadius = bounds ? bounds.radius + 0.8 : 2.2;
+            radius = Math.max(minRadius, Math.min(radius, placement.maxOrbitRadius));
+        }
+
+        const lookHeight = target.y + (bounds ? Math.min(1.0, bounds.size.y * 0.25) : 0.9);
+        if (isReducedMotion()) {
+            const lookAt = new THREE.Vector3(target.x, lookHeight, target.z);
+            const framings = STILL_FRAMING_ANGLES.map(offset => ({
+                position: clampToRoom(new THREE.Vector3(
+                    target.x + Math.cos(startAngle + offset) * radius,
+                    height,
+                    target.z + Math.sin(startAngle + offset) * radius
+                )),
+                lookAt
+            }));
+            return this.playStillFramings(framings, options.duration ?? 12);
         }
 
         const pathPoints = [this.camera.position.clone()];
@@ -217,7 +386,7 @@ export class CameraController {
 
         const lookPoints = pathPoints.map((point, idx) => new THREE.Vector3(
             target.x + Math.sin(idx * 0.6) * 0.12,
-            target.y + (bounds ? Math.min(1.0, bounds.size.y * 0.25) : 0.9),
+            lookHeight,
             target.z + Math.cos(idx * 0.5) * 0.12
         ));
 
@@ -238,14 +407,16 @@ export class CameraController {
         const spacing = ariaPos.distanceTo(productPos);
         const radius = bounds ? bounds.radius : 2.8;
         const distance = options.distance ?? Math.max(5.4, spacing + radius + 3.2);
-        const sideBias = ariaPos.x - productPos.x;
+        const placement = getProductLayout(collectionName);
+        const front = placement ? placement.front : new THREE.Vector3(0, 0, 1);
+        const tangent = placement ? placement.tangent : new THREE.Vector3(1, 0, 0);
+        const sideBias = ariaPos.clone().sub(productPos).dot(tangent);
         const sideShift = THREE.MathUtils.clamp(-sideBias * 0.6, -1.4, 1.4);
-        const camPos = new THREE.Vector3(
-            mid.x + sideShift,
-            mid.y,
-            mid.z + distance
-        );
+        const camPos = mid.clone()
+            .addScaledVector(tangent, sideShift)
+            .addScaledVector(front, distance);
         camPos.y = options.height ?? Math.max(1.2, mid.y + 1.15);
+        clampToRoom(camPos);
 
         const lookAt = mid.clone();
         const lift = bounds ? Math.min(1.1, Math.max(0.7, bounds.size.y * 0.22)) : 0.85;
@@ -255,6 +426,7 @@ export class CameraController {
     }
 
     stopShowroomTour() {
+        this.clearStillFramings();
         this.isTouring = false;
         this.onTourComplete = null;
     }
@@ -263,6 +435,7 @@ export class CameraController {
         if (this.isOrbiting) this.disableOrbitMode();
         this.isTouring = false;
         this.onTourComplete = null;
+        this.clearStillFramings();
         this.cancelTransition();
 
         return new Promise((resolve) => {
@@ -287,26 +460,12 @@ export class CameraController {
                 finalLookAt.copy(CAMERA_POSITIONS.start.lookAt);
             }
             else if (type === 'product_with_aria') {
-                const collectionName = arg1 || 'elegance';
-                const bounds = getProductBounds(collectionName);
-                const productPos = bounds ? bounds.center.clone() : getProductPosition(collectionName);
-                productPos.y = Math.max(0.5, productPos.y);
-                const radius = bounds ? bounds.radius : 2.8;
+                const collectionName = arg1;
+                const hero = getHeroCamera(collectionName, getProductBounds(collectionName));
 
                 // Cinematic "Heroic" Angle
-                finalLookAt = productPos.clone();
-                const lookLift = bounds ? Math.min(1.0, Math.max(0.5, bounds.size.y * 0.22)) : 0.8;
-                finalLookAt.y += lookLift;
-
-                const distance = Math.max(4.6, radius + 3.2);
-                finalPosition.set(productPos.x, Math.max(1.0, productPos.y + 0.6), productPos.z + distance);
-
-                const sideShift = bounds ? Math.min(1.6, Math.max(0.8, radius * 0.35)) : 1.5;
-                if (collectionName === 'elegance') {
-                    finalPosition.x += sideShift;
-                } else if (collectionName === 'luxury') {
-                    finalPosition.x -= sideShift;
-                }
+                finalPosition.copy(hero.position);
+                finalLookAt.copy(hero.lookAt);
 
                 activateProductSpotlight(true, collectionName);
             }
@@ -321,7 +480,19 @@ export class CameraController {
                 // LookAt will be dynamically calculated below
             }
 
-            if (typeof gsap !== 'undefined') {
+            if (isReducedMotion()) {
+                if (type === 'return_start') {
+                    // Looks at the spot ARIA is walking back to instead of tracking her
+                    finalLookAt.set(ARIA_START_POS.x, 0.6, ARIA_START_POS.z);
+                }
+                const cut = this.cutTo(finalPosition, finalLookAt, Math.min(duration, CUT_DURATION));
+                if (cut) {
+                    this.transitionTween = cut;
+                    cut.eventCallback('onComplete', finish);
+                } else {
+                    finish();
+                }
+            } else if (typeof gsap !== 'undefined') {
                 if (type === 'return_start') {
                     this.transitionTween = gsap.to(this.camera.position, {
                         x: finalPosition.x, y: finalPosition.y, z: finalPosition.z,
@@ -388,7 +559,8 @@ export class CameraController {
     update(delta) {
         if (this.isOrbiting) {
             this.controls.target.copy(this.orbitTarget);
-            this.controls.update();
+            // update() reports whether the camera moved (dragging or damping)
+            this.orbitMoving = this.controls.update();
             return;
         }
 
@@ -426,6 +598,38 @@ export class CameraController {
             this.ariaVelocity.lerp(velocity, 0.12);
             this.lastAriaPos.copy(ariaPos);
 
+            if (isReducedMotion()) {
+                // The camera stays where it is and turns slowly to keep ARIA in view
+                const calmLook = ariaPos.clone();
+                calmLook.y += 0.9;
+                this.currentTarget.lerp(calmLook, 1 - Math.exp(-delta * 1.5));
+                this.camera.lookAt(this.currentTarget);
+                return;
+            }
+
+            const followEase = 1 - Math.exp(-delta * 3.5);
+
+            // Trail behind ARIA along her path, looking where she is heading
+            const pathAhead = getARIAPathAhead(1.8);
+            if (pathAhead) {
+                const heading = pathAhead.clone().sub(ariaPos);
+                heading.y = 0;
+                if (heading.lengthSq() > 0.0001) {
+                    this.followDirection.lerp(heading.normalize(), 1 - Math.exp(-delta * 2.0)).normalize();
+                }
+
+                const targetLook = ariaPos.clone().lerp(pathAhead, 0.5);
+                targetLook.y = ariaPos.y + 0.9;
+
+                const targetCamPos = clampToRoom(ariaPos.clone().addScaledVector(this.followDirection, -4.2));
+                targetCamPos.y = ariaPos.y + 1.35;
+
+                this.camera.position.lerp(targetCamPos, followEase);
+                this.currentTarget.lerp(targetLook, followEase);
+                this.camera.lookAt(this.currentTarget);
+                return;
+            }
+
             const lookAhead = this.ariaVelocity.clone().multiplyScalar(0.35);
             lookAhead.y = 0;
 
@@ -438,7 +642,6 @@ export class CameraController {
                 ariaPos.z + 4.2 + lookAhead.z * 0.4
             );
 
-            const followEase = 1 - Math.exp(-delta * 3.5);
             this.camera.position.lerp(targetCamPos, followEase);
             this.currentTarget.lerp(targetLook, followEase);
             this.camera.lookAt(this.currentTarget);
@@ -0,0 +1,167 @@
+/**
+ * Collection Catalog
+ * Loads data/catalog.json once and exposes the collections to every module.
+ * Texts, finish names, narrations and their subtitles are either a plain string or a
+ * { it, en } map; read them through localize() from i18n.js.
+ */
+
+const CATALOG_URL = './data/catalog.json';
+const DEG_TO_RAD = Math.PI / 180;
+
+let collections = [];
+let collectionMap = new Map();
+let finishMap = new Map();
+let catalogPromise = null;
+
+export function loadCatalog(url = CATALOG_URL) {
+    if (!catalogPromise) {
+        catalogPromise = fetch(url)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Catalog request failed (${response.status})`);
+                }
+                return response.json();
+            })
+            .then((data) => {
+                finishMap = new Map(Object.entries(data?.finishes || {})
+                    .map(([id, finish]) => normalizeFinish(id, finish))
+                    .filter(Boolean)
+                    .map(finish => [finish.id, finish]));
+                const entries = Array.isArray(data?.collections) ? data.collections : [];
+                collections = entries.map(normalizeCollection).filter(Boolean);
+                collectionMap = new Map(collections.map(entry => [entry.id, entry]));
+                return collections;
+            })
+            .catch((error) => {
+                catalogPromise = null;
+                throw error;
+            });
+    }
+    return catalogPromise;
+}
+
+function normalizeFinish(id, finish) {
+    if (!finish || typeof finish.color !== 'string') {
+        console.warn(`Skipping finish "${id}" without color`);
+        return null;
+    }
+    return {
+        id,
+        name: localizedValue(finish.name) || id,
+        type: finish.type || 'velvet',
+        color: finish.color,
+        // Optional roughness/sheen/... values that win over the type preset
+        overrides: finish.overrides && typeof finish.overrides === 'object' ? finish.overrides : null
+    };
+}
+
+// zone → finish ids in the catalog, zone → finish objects here
+function normalizeZones(zones, collectionId) {
+    const result = {};
+    Object.entries(zones || {}).forEach(([zone, ids]) => {
+        if (!Array.isArray(ids)) return;
+        const finishes = ids.map((id) => {
+            const finish = finishMap.get(id);
+            if (!finish) console.warn(`Unknown finish "${id}" in ${collectionId}.${zone}`);
+            return finish;
+        }).filter(Boolean);
+        if (finishes.length) result[zone] = finishes;
+    });
+    return result;
+}
+
+// GLB material name → zone, or null for parts that are never recoloured
+function normalizeMaterialZones(materials, collectionId) {
+    if (!materials || typeof materials !== 'object') return null;
+    const entries = Object.entries(materials).filter(([name, zone]) => {
+        if (zone === null || typeof zone === 'string') return true;
+        console.warn(`Ignoring material "${name}" in ${collectionId}: zone must be a string or null`);
+        return false;
+    });
+    return entries.length ? Object.fromEntries(entries) : null;
+}
+
+// Width × depth of the model as modelled; only the proportions matter, models
+// are scaled to a common size (see product.js)
+function normalizeFootprint(footprint, collectionId) {
+    if (!footprint) return null;
+    const width = Number(footprint.width);
+    const depth = Number(footprint.depth);
+    if (width > 0 && depth > 0) return { width, depth };
+    console.warn(`Ignoring footprint in ${collectionId}: width and depth must be positive numbers`);
+    return null;
+}
+
+// A string, or a language → string map with at least one entry
+function localizedValue(value) {
+    if (typeof value === 'string') return value || null;
+    if (!value || typeof value !== 'object') return null;
+    const entries = Object.entries(value).filter(([, text]) => typeof text === 'string' && text);
+    return entries.length ? Object.fromEntries(entries) : null;
+}
+
+function normalizeCollection(entry) {
+    if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+        console.warn('Skipping catalog entry without id', entry);
+        return null;
+    }
+    if (typeof entry.model !== 'string' || !entry.model) {
+        console.warn(`Skipping catalog entry "${entry.id}" without model`);
+        return null;
+    }
+
+    const id = entry.id.toLowerCase().trim();
+    const placement = entry.placement || {};
+    const zones = normalizeZones(entry.zones, id);
+
+    return {
+        id,
+        name: entry.name || id,
+        title: localizedValue(entry.title) || entry.name || id,
+        tagline: localizedValue(entry.tagline) || '',
+        description: localizedValue(entry.description) || '',
+        model: entry.model,
+        placement: {
+            // Position and facing come from the showroom layout; this only corrects
+            // models whose front is not +Z in the GLB
+            facingOffset: DEG_TO_RAD * (Number(placement.facingOffsetDeg) || 0),
+            footprint: normalizeFootprint(placement.footprint, id)
+        },
+        narration: localizedValue(entry.narration),
+        // WebVTT cues per narration, same shape; only declared files are fetched
+        subtitles: localizedValue(entry.subtitles),
+        aliases: Array.isArray(entry.aliases) ? entry.aliases.map(alias => String(alias).toLowerCase()) : [id],
+        zones,
+        materialZones: normalizeMaterialZones(entry.materials, id),
+        // The upholstery palette is "the fabric" for quotes, links and voice
+        fabrics: zones.upholstery || []
+    };
+}
+
+export function getCollections() {
+    return collections;
+}
+
+export function getCollectionIds() {
+    return collections.map(entry => entry.id);
+}
+
+/** Every finish in the catalog, whichever collections offer it. */
+export function getFinishes() {
+    return [...finishMap.values()];
+}
+
+export function getCollection(id) {
+    return collectionMap.get(id) || null;
+}
+
+export function hasCollection(id) {
+    return collectionMap.has(id);
+}
+
+/** Collection id for an id or one of its aliases ("eclipse" → "luxury"). */
+export function resolveCollectionId(value) {
+    const key = String(value || '').toLowerCase().trim();
+    if (collectionMap.has(key)) return key;
+    return collections.find(entry => entry.aliases.includes(key))?.id || null;
+}
@@ -0,0 +1,71 @@
+/**
+ * Scene Commands
+ * The small API the conversational agent drives the showroom through. main.js
+ * registers the handlers, the voice providers expose them as client tools, so
+ * what ARIA says ("ti mostro l'Eclipse") and what the scene shows stay in sync.
+ *
+ * The agent must know the tools too: COMMANDS holds the descriptions and the
+ * JSON-schema parameters to copy into the agent's configuration (ElevenLabs:
+ * client tools; WebSocket server: see voice-providers.js).
+ *
+ * Handlers return a plain object the agent can read; a command that cannot run
+ * right now throws, and the provider reports the message back to the agent.
+ */
+
+export const COMMANDS = {
+    showCollection: {
+        description: 'Walks the visitor to a collection and presents it. Accepts a collection id or name.',
+        parameters: {
+            type: 'object',
+            properties: {
+                collection: { type: 'string', description: 'Collection id or name, e.g. "luxury" or "Eclipse"' }
+            },
+            required: ['collection']
+        }
+    },
+    setFabric: {
+        description: 'Changes a finish of the sofa on screen. Accepts a finish name, id or plain colour; the closest finish of the palette is used.',
+        parameters: {
+            type: 'object',
+            properties: {
+                fabric: { type: 'string', description: 'Finish name, id or colour, e.g. "Bouclé Grigio" or "green"' },
+                zone: { type: 'string', enum: ['upholstery', 'cushions', 'frame', 'legs'], description: 'Part of the sofa; upholstery when omitted, unless the fabric text names a part' }
+            },
+            required: ['fabric']
+        }
+    },
+    goBack: {
+        description: 'Leaves the sofa on screen and returns to the collection choice.',
+        parameters: { type: 'object', properties: {} }
+    },
+    openQuote: {
+        description: 'Opens the quote request form for the sofa on screen, with its finishes.',
+        parameters: { type: 'object', properties: {} }
+    },
+    getCurrentState: {
+        description: 'What the visitor is looking at: screen, collection, chosen finishes, available fabrics and collections.',
+        parameters: { type: 'object', properties: {} }
+    }
+};
+
+let handlers = {};
+
+/** @param {Object<string, (params: object) => object|Promise<object>>} map */
+export function registerCommands(map) {
+    handlers = { ...handlers, ...map };
+}
+
+/**
+ * Runs a command by name.
+ * @returns {Promise<object>}
+ */
+export async function runCommand(name, params = {}) {
+    const handler = Object.hasOwn(COMMANDS, name) ? handlers[name] : null;
+    if (!handler) throw new Error(`Command not available: ${name}`);
+    return handler(params && typeof params === 'object' ? params : {});
+}
+
+/** name → async function, the shape the voice providers take as client tools. */
+export function getClientTools() {
+    return Object.fromEntries(Object.keys(COMMANDS).map(name => [name, params => runCommand(name, params)]));
+}
@@ -0,0 +1,236 @@
+/**
+ * Fabric Configurator
+ * Material zones (from the catalog's material map, else guessed from GLB
+ * material names), finish presets (velvet, bouclé, leather, wood, metal) and
+ * per-collection persistence.
+ */
+
+import * as THREE from 'three';
+
+export const ZONES = ['upholstery', 'cushions', 'frame', 'legs'];
+
+// Checked in order: "seat_cushion" is a cushion, not upholstery. Stitches and the
+// felt underneath keep their own look
+const ZONE_PATTERNS = [
+    [null, /stitch|cucitur|felt|feltro/],
+    ['legs', /(^|[^a-z])legs?([^a-z]|$)|gamb[ae]|feet|foot|piedi|metal/],
+    ['cushions', /cushion|cuscin|pillow|headrest|poggiatesta/],
+    ['frame', /frame|telaio|struttura|wood|legno|shell|shore|scocca/],
+    ['upholstery', /fabric|tessuto|upholster|rivestiment|seat|seduta|back|schienale|sofa|divano/]
+];
+
+const FINISH_PRESETS = {
+    velvet: { roughness: 0.78, metalness: 0, sheen: 1.0, sheenRoughness: 0.3 },
+    boucle: { roughness: 0.96, metalness: 0, sheen: 0.35, sheenRoughness: 0.8, normal: 'boucle', normalScale: 0.6, repeat: 10 },
+    leather: { roughness: 0.42, metalness: 0, clearcoat: 0.2, clearcoatRoughness: 0.5, normal: 'grain', normalScale: 0.25, repeat: 6 },
+    wood: { roughness: 0.55, metalness: 0 },
+    lacquer: { roughness: 0.25, metalness: 0, clearcoat: 0.6, clearcoatRoughness: 0.15 },
+    metal: { roughness: 0.32, metalness: 1 }
+};
+
+const STORAGE_KEY = 'ariaConfigurations';
+const normalTextures = new Map();
+// GLB normal maps to restore when switching back to a finish without one
+const originalNormalMaps = new WeakMap();
+
+/**
+ * Zone for a material, or null when the material should never be recoloured.
+ * The collection's material map (catalog "materials") wins, by exact name and
+ * then without the ".003" suffix exporters add; other names are guessed from
+ * keywords, and textured parts that match none are left alone.
+ * @param {Object<string, string|null>} [materialZones]
+ */
+export function detectZone(material, materialZones = null) {
+    const fullName = material?.name || '';
+    const baseName = fullName.replace(/\.\d+$/, '');
+    for (const key of [fullName, baseName]) {
+        if (materialZones && Object.hasOwn(materialZones, key)) return materialZones[key];
+    }
+    const name = fullName.toLowerCase();
+    for (const [zone, pattern] of ZONE_PATTERNS) {
+        if (pattern.test(name)) return zone;
+    }
+    return material?.map ? null : 'upholstery';
+}
+
+export function getFinishPreset(type) {
+    return FINISH_PRESETS[type] || FINISH_PRESETS.velvet;
+}
+
+/**
+ * Applies a finish to a material. Sheen and clearcoat need MeshPhysicalMaterial,
+ * so a standard material is upgraded and the new instance returned.
+ */
+export function applyFinishToMaterial(material, finish) {
+    const preset = { ...getFinishPreset(finish.type), ...(finish.overrides || {}) };
+    const needsPhysical = (preset.sheen || preset.clearcoat) && !material.isMeshPhysicalMaterial;
+
+    if (!originalNormalMaps.has(material)) {
+        originalNormalMaps.set(material, material.normalMap || null);
+    }
+    const originalNormalMap = originalNormalMaps.get(material);
+
+    let target = material;
+    if (needsPhysical && material.isMeshStandardMaterial) {
+        target = new THREE.MeshPhysicalMaterial();
+        THREE.MeshStandardMaterial.prototype.copy.call(target, material);
+        target.userData = { ...material.userData };
+        originalNormalMaps.set(target, originalNormalMap);
+        material.dispose();
+    }
+
+    target.color.set(finish.color);
+    if ('roughness' in target) target.roughness = preset.roughness;
+    if ('metalness' in target) target.metalness = preset.metalness;
+
+    if (target.isMeshPhysicalMaterial) {
+        target.sheen = preset.sheen || 0;
+        target.sheenRoughness = preset.sheenRoughness ?? 0.5;
+        target.sheenColor.set(finish.color).lerp(new THREE.Color(0xffffff), 0.35);
+        target.clearcoat = preset.clearcoat || 0;
+        target.clearcoatRoughness = preset.clearcoatRoughness ?? 0;
+    }
+
+    if ('normalMap' in target) {
+        if (preset.normal) {
+            const texture = getNormalTexture(preset.normal);
+            texture.repeat.setScalar(preset.repeat || 1);
+            target.normalMap = texture;
+            target.normalScale.setScalar(preset.normalScale ?? 1);
+        } else {
+            target.normalMap = originalNormalMap;
+            target.normalScale.setScalar(1);
+        }
+    }
+
+    target.userData.finish = finish.id;
+    target.needsUpdate = true;
+    return target;
+}
+
+// ----------------------------------------
+// Procedural normal maps
+// ----------------------------------------
+
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const HEIGHT_FIELDS = {
+    // Dense irregular loops of yarn
+    boucle: (size, random) => {
+        const height = new Float32Array(size * size);
+        for (let i = 0; i < 260; i++) {
+            const cx = random() * size;
+            const cy = random() * size;
+            const radius = 2 + random() * 3.5;
+            for (let y = -6; y <= 6; y++) {
+                for (let x = -6; x <= 6; x++) {
+                    const ring = Math.abs(Math.hypot(x, y) - radius);
+                    if (ring > 1.2) continue;
+                    const px = (Math.floor(cx) + x + size) % size;
+                    const py = (Math.floor(cy) + y + size) % size;
+                    height[py * size + px] += 1.2 - ring;
+                }
+            }
+        }
+        return height;
+    },
+    // Fine pebbled leather grain
+    grain: (size, random) => {
+        const height = new Float32Array(size * size);
+        const cells = Array.from({ length: 180 }, () => [random() * size, random() * size]);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let nearest = Infinity;
+                cells.forEach(([cx, cy]) => {
+                    const dx = Math.min(Math.abs(x - cx), size - Math.abs(x - cx));
+                    const dy = Math.min(Math.abs(y - cy), size - Math.abs(y - cy));
+                    nearest = Math.min(nearest, dx * dx + dy * dy);
+                });
+                height[y * size + x] = Math.sqrt(nearest);
+            }
+        }
+        return height;
+    }
+};
+
+function getNormalTexture(kind) {
+    if (normalTextures.has(kind)) return normalTextures.get(kind);
+
+    const size = 128;
+    const height = HEIGHT_FIELDS[kind](size, createRandom(kind.length * 7919));
+    const data = new Uint8Array(size * size * 4);
+    const sample = (x, y) => height[((y + size) % size) * size + ((x + size) % size)];
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = sample(x + 1, y) - sample(x - 1, y);
+            const dy = sample(x, y + 1) - sample(x, y - 1);
+            const normal = new THREE.Vector3(-dx, -dy, 2).normalize();
+            const i = (y * size + x) * 4;
+            data[i] = (normal.x * 0.5 + 0.5) * 255;
+            data[i + 1] = (normal.y * 0.5 + 0.5) * 255;
+            data[i + 2] = (normal.z * 0.5 + 0.5) * 255;
+            data[i + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.generateMipmaps = true;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    normalTextures.set(kind, texture);
+    return texture;
+}
+
+// ----------------------------------------
+// Persistence
+// ----------------------------------------
+
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+function readAll() {
+    const storage = getStorage();
+    if (!storage) return {};
+    try {
+        const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (err) {
+        return {};
+    }
+}
+
+/** Saved zone → finish id map for a collection (empty when never configured). */
+export function loadConfiguration(collection) {
+    const saved = readAll()[collection];
+    return saved && typeof saved === 'object' ? { ...saved } : {};
+}
+
+export function saveConfiguration(collection, configuration) {
+    const storage = getStorage();
+    if (!storage) return;
+    const all = readAll();
+    all[collection] = configuration;
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(all));
+    } catch (err) {
+        // Storage full or disabled: the configuration still lives for this session
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Consent
+ * The visitor's privacy choices, kept in localStorage. Optional features ask
+ * hasConsent() before they start:
+ * - voice: microphone and typed messages sent to the conversation (voice-assistant.js)
+ * - remote: code downloaded from third-party CDNs at run time (importRemoteModule),
+ *   e.g. the ElevenLabs client; each voice provider lists what it needs
+ * - analytics: journey events sent off the device (analytics.js sinks)
+ * Nothing optional runs until the visitor decides; choices are announced with aria:consentChange.
+ */
+
+export const CONSENT_CATEGORIES = ['voice', 'remote', 'analytics'];
+const STORAGE_KEY = 'ariaConsent';
+// Bump when a category is added or its purpose changes: everyone is asked again
+const CONSENT_VERSION = 1;
+
+let choices = null;
+
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+function normalizeChoices(value) {
+    return Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, value?.[category] === true]));
+}
+
+function readSavedChoices() {
+    try {
+        const saved = JSON.parse(getStorage()?.getItem(STORAGE_KEY) || 'null');
+        if (!saved || saved.version !== CONSENT_VERSION) return null;
+        return normalizeChoices(saved.choices);
+    } catch (err) {
+        return null;
+    }
+}
+
+/** True once the visitor has saved a choice (for the current consent version). */
+export function isConsentDecided() {
+    if (!choices) choices = readSavedChoices();
+    return choices !== null;
+}
+
+export function hasConsent(category) {
+    return isConsentDecided() && choices[category] === true;
+}
+
+/** Current choices; every category off while undecided. */
+export function getConsentChoices() {
+    return isConsentDecided() ? { ...choices } : normalizeChoices(null);
+}
+
+/**
+ * Saves the choices and announces them with aria:consentChange.
+ * @param {Object<string, boolean>} next - missing categories count as refused
+ */
+export function setConsent(next) {
+    choices = normalizeChoices(next);
+    try {
+        getStorage()?.setItem(STORAGE_KEY, JSON.stringify({
+            version: CONSENT_VERSION,
+            choices,
+            savedAt: new Date().toISOString()
+        }));
+    } catch (err) {
+        // Private mode: the choice lasts for this visit
+    }
+    window.dispatchEvent(new CustomEvent('aria:consentChange', { detail: { choices: { ...choices } } }));
+    return { ...choices };
+}
+
+/**
+ * import() of a module hosted on a third-party CDN, only with 'remote' consent.
+ * Refusals reject with an error whose code is 'consent'.
+ */
+export function importRemoteModule(url) {
+    if (!hasConsent('remote')) {
+        const error = new Error(`Loading ${new URL(url).hostname} needs consent`);
+        error.code = 'consent';
+        return Promise.reject(error);
+    }
+    return import(url);
+}
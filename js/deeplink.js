@@ -0,0 +1,83 @@
+/**
+ * Deep Links
+ * Encodes the selected collection, its configuration and an optional camera
+ * viewpoint in the URL hash: #luxury?upholstery=pelle-terracotta&cam=x,y,z,tx,ty,tz
+ */
+
+import * as THREE from 'three';
+import { ZONES } from './configurator.js';
+
+// Short alias accepted in hand-written links ("#luxury?fabric=terracotta")
+const ZONE_ALIASES = { fabric: 'upholstery' };
+const CAMERA_PARAM = 'cam';
+
+/**
+ * @returns {{ collection: string, configuration: object, viewpoint: { position: THREE.Vector3, lookAt: THREE.Vector3 }|null }|null}
+ */
+export function parseDeepLink(hash = window.location.hash) {
+    const raw = String(hash || '').replace(/^#\/?/, '');
+    const [path, query = ''] = raw.split('?');
+    let collection = '';
+    try {
+        collection = decodeURIComponent(path).toLowerCase().trim();
+    } catch (err) {
+        return null;
+    }
+    if (!collection) return null;
+
+    const params = new URLSearchParams(query);
+    const configuration = {};
+    params.forEach((value, key) => {
+        const zone = ZONE_ALIASES[key] || key;
+        if (ZONES.includes(zone) && value) configuration[zone] = value;
+    });
+
+    return { collection, configuration, viewpoint: parseViewpoint(params.get(CAMERA_PARAM)) };
+}
+
+export function buildDeepLink({ collection, configuration = {}, viewpoint = null }) {
+    if (!collection) return '';
+    const params = new URLSearchParams();
+    ZONES.forEach((zone) => {
+        if (configuration[zone]) params.set(zone, configuration[zone]);
+    });
+    if (viewpoint) {
+        const values = [...viewpoint.position.toArray(), ...viewpoint.lookAt.toArray()];
+        params.set(CAMERA_PARAM, values.map(value => value.toFixed(2)).join(','));
+    }
+    // Commas are safe in a fragment and keep the camera readable
+    const query = params.toString().replace(/%2C/gi, ',');
+    return `#${encodeURIComponent(collection)}${query ? `?${query}` : ''}`;
+}
+
+/** Full shareable URL for a state, without touching the address bar. */
+export function getDeepLinkUrl(state) {
+    const url = new URL(window.location.href);
+    url.hash = buildDeepLink(state);
+    return url.toString();
+}
+
+/**
+ * Mirrors the state in the address bar. replaceState keeps the back button
+ * usable and does not fire hashchange.
+ */
+export function updateDeepLink(state) {
+    const hash = state ? buildDeepLink(state) : '';
+    if (hash === window.location.hash) return;
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    try {
+        window.history.replaceState(window.history.state, '', url);
+    } catch (err) {
+        // Sandboxed iframes can refuse history updates; the link is only a convenience
+    }
+}
+
+function parseViewpoint(value) {
+    if (!value) return null;
+    const numbers = value.split(',').map(Number);
+    if (numbers.length !== 6 || !numbers.every(Number.isFinite)) return null;
+    return {
+        position: new THREE.Vector3().fromArray(numbers, 0),
+        lookAt: new THREE.Vector3().fromArray(numbers, 3)
+    };
+}
@@ -0,0 +1,328 @@
+/**
+ * Localisation
+ * String tables for the interface, the active language and helpers to translate
+ * the static markup (data-i18n attributes) and catalog texts.
+ */
+
+export const LANGUAGES = ['it', 'en'];
+export const DEFAULT_LANGUAGE = 'it';
+const STORAGE_KEY = 'ariaLanguage';
+
+const STRINGS = {
+    it: {
+        'page.title': 'ARIA | Showroom Immersivo',
+        'loading.text': 'Caricamento esperienza...',
+        'error.title': 'Impossibile caricare lo showroom',
+        'error.failed': 'Alcuni file essenziali non sono stati scaricati. Controlla la connessione e riprova.',
+        'error.timeout': 'Il caricamento sta impiegando troppo tempo. Controlla la connessione e riprova.',
+        'error.retry': 'Riprova',
+        'error.productUnavailable': '{name} non è disponibile al momento',
+        'orientation.text': 'Ruota il dispositivo in orizzontale per continuare',
+        'fullscreen.prompt': 'Vuoi visualizzare a tutto schermo?',
+        'fullscreen.yes': 'Si',
+        'fullscreen.no': 'No',
+        'fullscreen.enter': 'Schermo intero',
+        'fullscreen.exit': 'Esci da schermo intero',
+        'fullscreen.homeScreen': 'Aggiungi alla Home per il tutto schermo.',
+        'offline.ready': 'Showroom disponibile anche offline',
+        'offline.updateReady': 'Nuova versione pronta: sarà attiva alla prossima apertura',
+        'motion.reduce': 'Riduci i movimenti',
+        'motion.restore': 'Ripristina i movimenti',
+        'motion.reducedOn': 'Movimenti ridotti: la telecamera passa da una vista all\'altra',
+        'motion.reducedOff': 'Movimenti completi',
+        'consent.title': 'Privacy',
+        'consent.intro': 'Scegli quali funzioni facoltative attivare. Puoi cambiare idea in qualsiasi momento dal pulsante Privacy.',
+        'consent.voice': 'Assistente vocale',
+        'consent.voiceText': "Usa il microfono: la tua voce, o quello che scrivi ad ARIA, viene inviata al servizio che gestisce la conversazione (il riconoscimento vocale del browser o quello configurato dallo showroom).",
+        'consent.remote': 'Componenti esterni',
+        'consent.remoteText': "Scarica da esm.sh o Skypack il codice dei servizi che ne hanno bisogno, come l'assistente ElevenLabs.",
+        'consent.analytics': 'Statistiche di utilizzo',
+        'consent.analyticsText': 'Invia in forma anonima le tappe della visita per migliorare lo showroom.',
+        'consent.acceptAll': 'Accetta tutto',
+        'consent.rejectAll': 'Rifiuta tutto',
+        'consent.save': 'Salva scelte',
+        'consent.open': 'Privacy',
+        'consent.voiceNeeded': "Per parlare con ARIA attiva l'assistente vocale",
+        'consent.remoteNeeded': 'Per parlare con ARIA attiva i componenti esterni',
+        'consent.saved': 'Preferenze privacy salvate',
+        'intro.subtitle': 'Esperienza Immersiva',
+        'intro.description': 'Scopri la nuova collezione in un ambiente virtuale esclusivo',
+        'intro.start': "Inizia l'Esperienza",
+        'intro.language': 'Lingua',
+        'overlay.skipIntro': 'Salta introduzione',
+        'overlay.stop': 'Stop',
+        'overlay.collections': 'Collezioni',
+        'overlay.chooseCollection': 'Scegli una collezione',
+        'overlay.interactHint': 'Clicca o usa le frecce per ruotare 360°',
+        'product.back': 'Torna alle collezioni',
+        'product.share': 'Copia link a questa configurazione',
+        'product.shareShort': 'Copia link',
+        'product.cta': 'Richiedi Preventivo',
+        'toast.linkCopied': 'Link copiato negli appunti',
+        'toast.linkInAddressBar': 'Copia il link dalla barra degli indirizzi',
+        'zones.upholstery': 'Rivestimento',
+        'zones.cushions': 'Cuscini',
+        'zones.frame': 'Struttura',
+        'zones.legs': 'Piedini',
+        'language.it': 'Italiano',
+        'language.en': 'English',
+        'a11y.canvas': 'Showroom 3D. Con un prodotto aperto usa le frecce per ruotarlo e i tasti + e - per lo zoom',
+        'a11y.introStarted': 'Introduzione in corso. Premi Esc per saltarla',
+        'a11y.collectionsReady': 'Scegli una collezione, oppure premi un numero da 1 a {count}',
+        'a11y.walking': 'ARIA ti accompagna verso {name}',
+        'a11y.narration': 'ARIA presenta {name}. Premi Esc per interrompere',
+        'a11y.narrationStopped': 'Presentazione interrotta',
+        'a11y.productReady': '{name}: scegli le finiture o usa le frecce per ruotare il divano',
+        'a11y.finish': '{zone}: {finish}',
+        'a11y.back': 'Ritorno alle collezioni',
+        'kiosk.touchToStart': 'Tocca lo schermo per iniziare',
+        'kiosk.pinTitle': 'PIN di servizio',
+        'kiosk.pinHint': 'Inserisci il PIN per uscire dalla modalità kiosk.',
+        'kiosk.pinWrong': 'PIN errato',
+        'kiosk.delete': 'Cancella',
+        'kiosk.confirm': 'OK',
+        'kiosk.cancel': 'Annulla',
+        'kiosk.exited': 'Modalità kiosk disattivata',
+        'voice.talk': 'Parla con ARIA',
+        'voice.connecting': 'connessione',
+        'voice.listening': 'in ascolto',
+        'voice.speaking': 'sta parlando',
+        'voice.error': 'errore',
+        'voice.chatting': 'in chat',
+        'voice.nomic': 'microfono non disponibile',
+        'voice.ready': 'pronta',
+        'voice.hold': 'Tieni premuto per parlare',
+        'voice.holdHint': 'Oppure tieni premuta la barra spaziatrice',
+        'chat.open': 'Scrivi ad ARIA',
+        'chat.label': 'Messaggio per ARIA',
+        'chat.placeholder': 'Scrivi ad ARIA…',
+        'chat.send': 'Invia',
+        'chat.done': 'Ecco fatto.',
+        'chat.help': "Senza connessione capisco solo i comandi: prova «mostrami l'Eclipse», «in velluto verde» o «torna alle collezioni».",
+        'transcript.title': 'Conversazione con ARIA',
+        'transcript.show': 'Mostra la conversazione',
+        'transcript.hide': 'Nascondi la conversazione',
+        'transcript.export': 'Scarica',
+        'transcript.empty': 'Quello che dici ad ARIA e le sue risposte appariranno qui.',
+        'transcript.user': 'Tu',
+        'transcript.agent': 'ARIA',
+        'quote.title': 'Richiedi Preventivo',
+        'quote.intro': 'Compila il form per essere ricontattato da un nostro consulente.',
+        'quote.name': 'Nome e Cognome',
+        'quote.email': 'Email',
+        'quote.phone': 'Telefono',
+        'quote.message': 'Messaggio (opzionale)',
+        'quote.attachTranscript': 'Allega la conversazione con ARIA',
+        'quote.submit': 'Invia Richiesta',
+        'quote.close': 'Chiudi',
+        'quote.sentTitle': 'Richiesta inviata',
+        'quote.sent': 'Un nostro consulente ti contatterà a breve con il preventivo per la tua configurazione.',
+        'quote.queued': 'Sei offline: la richiesta è salvata e partirà automaticamente appena torna la connessione.',
+        'quote.failed': 'Invio non riuscito. Controlla i dati e riprova.',
+        'quote.unavailable': 'Le richieste di preventivo non sono disponibili al momento',
+        'quote.errors.name': 'Inserisci nome e cognome',
+        'quote.errors.emailRequired': "Inserisci l'email",
+        'quote.errors.email': 'Email non valida',
+        'quote.errors.phone': 'Numero di telefono non valido',
+        'quote.errors.message': 'Messaggio troppo lungo'
+    },
+    en: {
+        'page.title': 'ARIA | Immersive Showroom',
+        'loading.text': 'Loading experience...',
+        'error.title': 'The showroom could not be loaded',
+        'error.failed': 'Some essential files could not be downloaded. Check your connection and try again.',
+        'error.timeout': 'Loading is taking too long. Check your connection and try again.',
+        'error.retry': 'Try again',
+        'error.productUnavailable': '{name} is not available right now',
+        'orientation.text': 'Rotate your device to landscape to continue',
+        'fullscreen.prompt': 'Switch to full screen?',
+        'fullscreen.yes': 'Yes',
+        'fullscreen.no': 'No',
+        'fullscreen.enter': 'Full screen',
+        'fullscreen.exit': 'Exit full screen',
+        'fullscreen.homeScreen': 'Add to Home Screen for full screen.',
+        'offline.ready': 'Showroom available offline',
+        'offline.updateReady': 'A new version is ready and will load next time',
+        'motion.reduce': 'Reduce motion',
+        'motion.restore': 'Restore motion',
+        'motion.reducedOn': 'Reduced motion: the camera cuts between views',
+        'motion.reducedOff': 'Full motion',
+        'consent.title': 'Privacy',
+        'consent.intro': 'Choose which optional features to turn on. You can change your mind at any time from the Privacy button.',
+        'consent.voice': 'Voice assistant',
+        'consent.voiceText': "Uses the microphone: your voice, or what you type to ARIA, is sent to the service that runs the conversation (the browser's speech recognition or the one the showroom set up).",
+        'consent.remote': 'External components',
+        'consent.remoteText': 'Downloads from esm.sh or Skypack the code of the services that need it, such as the ElevenLabs assistant.',
+        'consent.analytics': 'Usage statistics',
+        'consent.analyticsText': 'Sends the steps of your visit, anonymously, to help us improve the showroom.',
+        'consent.acceptAll': 'Accept all',
+        'consent.rejectAll': 'Reject all',
+        'consent.save': 'Save choices',
+        'consent.open': 'Privacy',
+        'consent.voiceNeeded': 'Turn on the voice assistant to talk to ARIA',
+        'consent.remoteNeeded': 'Turn on external components to talk to ARIA',
+        'consent.saved': 'Privacy preferences saved',
+        'intro.subtitle': 'Immersive Experience',
+        'intro.description': 'Discover the new collection in an exclusive virtual space',
+        'intro.start': 'Start the Experience',
+        'intro.language': 'Language',
+        'overlay.skipIntro': 'Skip intro',
+        'overlay.stop': 'Stop',
+        'overlay.collections': 'Collections',
+        'overlay.chooseCollection': 'Choose a collection',
+        'overlay.interactHint': 'Click or use the arrow keys to rotate 360°',
+        'product.back': 'Back to collections',
+        'product.share': 'Copy a link to this configuration',
+        'product.shareShort': 'Copy link',
+        'product.cta': 'Request a Quote',
+        'toast.linkCopied': 'Link copied to clipboard',
+        'toast.linkInAddressBar': 'Copy the link from the address bar',
+        'zones.upholstery': 'Upholstery',
+        'zones.cushions': 'Cushions',
+        'zones.frame': 'Frame',
+        'zones.legs': 'Legs',
+        'language.it': 'Italiano',
+        'language.en': 'English',
+        'a11y.canvas': '3D showroom. With a product open, use the arrow keys to rotate it and + or - to zoom',
+        'a11y.introStarted': 'Intro playing. Press Escape to skip it',
+        'a11y.collectionsReady': 'Choose a collection, or press a number from 1 to {count}',
+        'a11y.walking': 'ARIA is walking you to {name}',
+        'a11y.narration': 'ARIA is presenting {name}. Press Escape to stop',
+        'a11y.narrationStopped': 'Presentation stopped',
+        'a11y.productReady': '{name}: choose the finishes or use the arrow keys to rotate the sofa',
+        'a11y.finish': '{zone}: {finish}',
+        'a11y.back': 'Back to the collections',
+        'kiosk.touchToStart': 'Touch the screen to begin',
+        'kiosk.pinTitle': 'Staff PIN',
+        'kiosk.pinHint': 'Enter the PIN to leave kiosk mode.',
+        'kiosk.pinWrong': 'Wrong PIN',
+        'kiosk.delete': 'Delete',
+        'kiosk.confirm': 'OK',
+        'kiosk.cancel': 'Cancel',
+        'kiosk.exited': 'Kiosk mode off',
+        'voice.talk': 'Talk to ARIA',
+        'voice.connecting': 'connecting',
+        'voice.listening': 'listening',
+        'voice.speaking': 'speaking',
+        'voice.error': 'error',
+        'voice.chatting': 'chatting',
+        'voice.nomic': 'no microphone',
+        'voice.ready': 'ready',
+        'voice.hold': 'Hold to talk',
+        'voice.holdHint': 'Or hold the space bar',
+        'chat.open': 'Type to ARIA',
+        'chat.label': 'Message for ARIA',
+        'chat.placeholder': 'Type to ARIA…',
+        'chat.send': 'Send',
+        'chat.done': 'Done.',
+        'chat.help': 'Offline I only understand commands: try "show me Eclipse", "in green velvet" or "back to the collections".',
+        'transcript.title': 'Conversation with ARIA',
+        'transcript.show': 'Show the conversation',
+        'transcript.hide': 'Hide the conversation',
+        'transcript.export': 'Download',
+        'transcript.empty': 'What you say to ARIA and her replies will appear here.',
+        'transcript.user': 'You',
+        'transcript.agent': 'ARIA',
+        'quote.title': 'Request a Quote',
+        'quote.intro': 'Fill in the form and one of our consultants will get back to you.',
+        'quote.name': 'Full name',
+        'quote.email': 'Email',
+        'quote.phone': 'Phone',
+        'quote.message': 'Message (optional)',
+        'quote.attachTranscript': 'Attach my conversation with ARIA',
+        'quote.submit': 'Send Request',
+        'quote.close': 'Close',
+        'quote.sentTitle': 'Request sent',
+        'quote.sent': 'One of our consultants will contact you shortly with a quote for your configuration.',
+        'quote.queued': 'You are offline: your request is saved and will be sent as soon as the connection is back.',
+        'quote.failed': 'Sending failed. Please check your details and try again.',
+        'quote.unavailable': 'Quote requests are not available at the moment',
+        'quote.errors.name': 'Please enter your full name',
+        'quote.errors.emailRequired': 'Please enter your email',
+        'quote.errors.email': 'Invalid email address',
+        'quote.errors.phone': 'Invalid phone number',
+        'quote.errors.message': 'Message is too long'
+    }
+};
+
+// data-i18n-<attribute> → attribute translated from the key it holds
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+function toSupported(code) {
+    const base = String(code || '').toLowerCase().split('-')[0];
+    return LANGUAGES.includes(base) ? base : null;
+}
+
+/** Saved choice first, then the browser languages; English for everyone else. */
+export function detectLanguage() {
+    const saved = toSupported(getStorage()?.getItem(STORAGE_KEY));
+    if (saved) return saved;
+    const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const code of preferred) {
+        const supported = toSupported(code);
+        if (supported) return supported;
+    }
+    return 'en';
+}
+
+export function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Switches language, translates the page and announces it with aria:languageChange.
+ * @param {{ persist?: boolean }} [options] - persist: false when applying the detected default
+ */
+export function setLanguage(language, options = {}) {
+    const next = toSupported(language) || DEFAULT_LANGUAGE;
+    currentLanguage = next;
+    if (options.persist !== false) {
+        try {
+            getStorage()?.setItem(STORAGE_KEY, next);
+        } catch (err) {
+            // Private mode: the choice lasts for this visit
+        }
+    }
+    document.documentElement.lang = next;
+    applyTranslations();
+    window.dispatchEvent(new CustomEvent('aria:languageChange', { detail: { language: next } }));
+    return next;
+}
+
+/**
+ * @param {string} key - e.g. 'quote.title'
+ * @param {Object<string, string|number>} [params] - replaces {name} placeholders
+ */
+export function t(key, params) {
+    const text = STRINGS[currentLanguage]?.[key] ?? STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/** Picks the active language from a catalog value: a plain string or { it, en }. */
+export function localize(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+    return value[currentLanguage] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0] ?? '';
+}
+
+export function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    TRANSLATED_ATTRIBUTES.forEach((attribute) => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
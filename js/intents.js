@@ -0,0 +1,228 @@
+/**
+ * Intents
+ * Turns what the visitor says into commands for the scene. detectIntent() reads
+ * one sentence (Italian or English), dispatchIntent() announces the result as a
+ * window event that main.js handles:
+ *
+ *   aria:collectionSelect  { collection, source }               open a collection
+ *   aria:finishSelect      { finish, color, type, zone, source } recolour the open product;
+ *                          any field may be null, resolveFinish() maps them to its palette
+ *   aria:back              { source }                           back to the collections
+ *   aria:orbit             { direction, source }                'left' | 'right' | 'around' | 'up' | 'down' | 'in' | 'out'
+ *   aria:stopCinematic     { source }                           stop the narration or skip the intro
+ *   aria:openQuote         { source }                           open the quote form
+ *
+ * source says where the command came from ('voice', 'text', 'ui', ...), as for collections.
+ */
+
+import { getCollections, getFinishes } from './catalog.js';
+import { ZONES } from './configurator.js';
+
+export const INTENT_EVENTS = {
+    collection: 'aria:collectionSelect',
+    finish: 'aria:finishSelect',
+    back: 'aria:back',
+    orbit: 'aria:orbit',
+    stop: 'aria:stopCinematic',
+    quote: 'aria:openQuote'
+};
+
+// Words and phrases below are compared after normalizeText()
+const COLLECTION_TRIGGERS = [
+    'collezione', 'collection', 'mostra', 'show', 'vedi', 'vedere', 'apri',
+    'vai', 'visita', 'visit', 'portami', 'fammi'
+];
+const QUOTE_PHRASES = ['preventivo', 'quanto costa', 'prezzo', 'prezzi', 'listino', 'quote', 'quotation', 'price', 'how much'];
+const BACK_PHRASES = [
+    'indietro', 'torniamo', 'torna alle collezioni', 'altre collezioni', 'esci',
+    'go back', 'back to the collections', 'other collections'
+];
+const STOP_PHRASES = ['stop', 'basta', 'ferma', 'fermati', 'silenzio', 'interrompi', 'smettila', 'salta', 'skip', 'enough', 'be quiet'];
+const TURN_PHRASES = ['gira', 'giralo', 'girala', 'ruota', 'ruotalo', 'ruotala', 'rotate', 'turn', 'spin'];
+// Checked in order: "zoom out" before "zoom"
+const ORBIT_PHRASES = [
+    ['out', ['allontana', 'allontanati', 'allontanalo', 'piu lontano', 'rimpicciolisci', 'zoom out', 'further', 'farther']],
+    ['in', ['avvicina', 'avvicinati', 'avvicinalo', 'piu vicino', 'ingrandisci', 'zoom in', 'zoom', 'closer']],
+    ['up', ['dall alto', 'da sopra', 'from above']],
+    ['down', ['dal basso', 'da sotto', 'from below']]
+];
+const TURN_DIRECTIONS = [
+    ['around', ['retro', 'dietro', 'behind', 'the back']],
+    ['left', ['sinistra', 'left']],
+    ['right', ['destra', 'right']]
+];
+
+const FINISH_TRIGGERS = [
+    'in', 'colore', 'color', 'colour', 'fammelo', 'fammela', 'mettilo', 'mettila', 'cambia', 'change',
+    'make', 'voglio', 'vorrei', 'prova', 'try', 'tessuto', 'fabric', 'finitura', 'finish',
+    'mostrami', 'vedere', 'show', 'see'
+];
+const ZONE_WORDS = {
+    cushions: ['cuscini', 'cuscino', 'cushion', 'cushions'],
+    frame: ['struttura', 'telaio', 'frame'],
+    legs: ['piedini', 'piedi', 'gambe', 'legs', 'feet'],
+    upholstery: ['rivestimento', 'tessuto', 'fabric', 'upholstery']
+};
+const TYPE_WORDS = {
+    velvet: ['velluto', 'velvet'],
+    boucle: ['boucle'],
+    leather: ['pelle', 'cuoio', 'leather'],
+    wood: ['legno', 'wood'],
+    lacquer: ['laccato', 'lacquer', 'lacquered'],
+    metal: ['metallo', 'metal', 'metallic']
+};
+// Plain colour names, matched to the nearest finish of the palette
+const COLOR_WORDS = {
+    '#F4F1EA': ['bianco', 'bianca', 'white'],
+    '#EDE6D6': ['crema', 'panna', 'avorio', 'beige', 'cream', 'ivory'],
+    '#808080': ['grigio', 'grigia', 'grey', 'gray'],
+    '#1C1C1C': ['nero', 'nera', 'black'],
+    '#A0302D': ['rosso', 'rossa', 'red'],
+    '#C0652D': ['arancione', 'orange'],
+    '#6B4226': ['marrone', 'brown'],
+    '#2F4F2F': ['verde', 'green'],
+    '#2B4A7A': ['blu', 'azzurro', 'blue'],
+    '#B59A5B': ['oro', 'dorato', 'gold', 'golden']
+};
+// Distance (RGB units) added per zone down the ZONES order: "grigio" recolours the
+// upholstery rather than a slightly closer grey on the legs
+const ZONE_PENALTY = 40;
+
+export function normalizeText(text) {
+    let normalized = String(text || '').toLowerCase();
+    if (normalized.normalize) {
+        normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+    return normalized
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * The command in a sentence, or null for small talk.
+ * @returns {{ type: keyof INTENT_EVENTS, detail: object }|null}
+ */
+export function detectIntent(text) {
+    const normalized = normalizeText(text);
+    if (!normalized) return null;
+    const padded = ` ${normalized} `;
+    const has = phrase => padded.includes(` ${phrase} `);
+    const hasAny = phrases => phrases.some(has);
+    const wordCount = normalized.split(' ').length;
+
+    if (hasAny(QUOTE_PHRASES)) return { type: 'quote', detail: {} };
+    if (hasAny(BACK_PHRASES)) return { type: 'back', detail: {} };
+
+    const collection = detectCollection(normalized, wordCount);
+    if (collection) return { type: 'collection', detail: { collection } };
+
+    const finish = detectFinish(has, hasAny, wordCount);
+    if (finish) return { type: 'finish', detail: finish };
+
+    if (hasAny(STOP_PHRASES)) return { type: 'stop', detail: {} };
+
+    const zoomOrTilt = ORBIT_PHRASES.find(([, phrases]) => hasAny(phrases));
+    if (zoomOrTilt) return { type: 'orbit', detail: { direction: zoomOrTilt[0] } };
+    const turn = TURN_DIRECTIONS.find(([, phrases]) => hasAny(phrases));
+    // "fammi vedere il retro" needs no verb; left and right do
+    if (turn?.[0] === 'around') return { type: 'orbit', detail: { direction: 'around' } };
+    if (hasAny(TURN_PHRASES)) return { type: 'orbit', detail: { direction: turn ? turn[0] : 'right' } };
+    return null;
+}
+
+/** Announces an intent with its window event (see the list at the top). */
+export function dispatchIntent(intent, source) {
+    const type = INTENT_EVENTS[intent?.type];
+    if (!type) return;
+    window.dispatchEvent(new CustomEvent(type, { detail: { ...intent.detail, source } }));
+}
+
+/**
+ * Maps a finish request onto a collection's palette: the named finish where the
+ * collection offers it, otherwise the closest colour (of the requested type).
+ * @param {object} collection - catalog entry
+ * @param {{ finish?: string|null, color?: string|null, type?: string|null, zone?: string|null }} request
+ * @param {string[]} [availableZones] - zones the loaded model actually has
+ * @returns {{ zone: string, finish: string }|null}
+ */
+export function resolveFinish(collection, request = {}, availableZones = ZONES) {
+    if (!collection) return null;
+    const zones = (request.zone ? [request.zone] : ZONES).filter(zone => availableZones.includes(zone));
+    const named = request.finish ? getFinishes().find(finish => finish.id === request.finish) : null;
+    const type = request.type || null;
+
+    if (named && (!type || named.type === type)) {
+        const zone = zones.find(id => (collection.zones[id] || []).some(finish => finish.id === named.id));
+        if (zone) return { zone, finish: named.id };
+    }
+
+    const color = request.color || named?.color || null;
+    if (!color && !type) return null;
+    let best = null;
+    zones.forEach((zone, index) => {
+        (collection.zones[zone] || []).forEach((finish) => {
+            if (type && finish.type !== type) return;
+            const score = (color ? colorDistance(color, finish.color) : 0) + index * ZONE_PENALTY;
+            if (!best || score < best.score) best = { zone, finish: finish.id, score };
+        });
+    });
+    return best ? { zone: best.zone, finish: best.finish } : null;
+}
+
+// Substring matches, so "mostrami" counts as "mostra"
+function detectCollection(normalized, wordCount) {
+    const hasCommand = COLLECTION_TRIGGERS.some(word => normalized.includes(word));
+    for (const entry of getCollections()) {
+        if (!entry.aliases.some(alias => normalized.includes(normalizeText(alias)))) continue;
+        if (hasCommand || wordCount <= 3) return entry.id;
+    }
+    return null;
+}
+
+function detectFinish(has, hasAny, wordCount) {
+    const zone = Object.keys(ZONE_WORDS).find(id => hasAny(ZONE_WORDS[id])) || null;
+    const type = Object.keys(TYPE_WORDS).find(id => hasAny(TYPE_WORDS[id])) || null;
+    const colorEntry = Object.entries(COLOR_WORDS).find(([, words]) => hasAny(words));
+
+    // Finishes whose name words were said ("terracotta", "noce canaletto"); type words
+    // alone ("velluto") do not name a finish
+    const typeWords = Object.values(TYPE_WORDS).flat();
+    let named = null;
+    let bestScore = 0;
+    let tie = false;
+    getFinishes().forEach((finish) => {
+        const names = typeof finish.name === 'string' ? [finish.name] : Object.values(finish.name);
+        const words = new Set(names.flatMap(name => normalizeText(name).split(' ')));
+        const score = [...words].filter(word => word.length > 2 && !typeWords.includes(word) && has(word)).length
+            + (type && finish.type === type ? 0.5 : 0);
+        if (score < 1) return;
+        if (score > bestScore) {
+            named = finish;
+            bestScore = score;
+            tie = false;
+        } else if (score === bestScore) {
+            tie = true;
+        }
+    });
+
+    if (!named && !colorEntry && !type) return null;
+    if (!FINISH_TRIGGERS.some(has) && wordCount > 4) return null;
+    return {
+        finish: named && !tie ? named.id : null,
+        color: colorEntry ? colorEntry[0] : (named ? named.color : null),
+        type,
+        zone
+    };
+}
+
+function colorDistance(a, b) {
+    const [r1, g1, b1] = hexToRgb(a);
+    const [r2, g2, b2] = hexToRgb(b);
+    return Math.hypot(r1 - r2, g1 - g2, b1 - b2);
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(String(hex).replace('#', '').slice(0, 6), 16) || 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
@@ -0,0 +1,141 @@
+/**
+ * Kiosk Mode
+ * Unattended in-store screens: ?kiosk=<idle seconds> starts an attract loop after
+ * that long without input (see startAttractLoop in main.js). Staff leave the mode by
+ * holding the top-left corner for a few seconds and typing the PIN (?pin=, default 2580).
+ */
+
+const DEFAULT_IDLE_SECONDS = 90;
+const MIN_IDLE_SECONDS = 15;
+const DEFAULT_PIN = '2580';
+const DEFAULT_VOLUME = 0.2;
+const CORNER_SIZE = 96; // px, top-left hot spot of the exit gesture
+const HOLD_DURATION = 3000;
+const HOLD_TOLERANCE = 24; // px the finger may drift during the hold
+
+let config = null;
+let idleTimer = null;
+let handlers = null;
+let hold = null;
+let listening = false;
+let swallowClickUntil = 0;
+
+/**
+ * @returns {{ enabled: boolean, idleSeconds: number, pin: string, volume: number }}
+ */
+export function getKioskConfig(search = window.location.search) {
+    if (config) return config;
+    const params = new URLSearchParams(search);
+    const idle = Number(params.get('kiosk'));
+    const volume = Number(params.get('kioskVolume'));
+    const pin = params.get('pin');
+    config = {
+        enabled: params.has('kiosk') && params.get('kiosk') !== '0',
+        idleSeconds: Number.isFinite(idle) && idle > 0 ? Math.max(MIN_IDLE_SECONDS, idle) : DEFAULT_IDLE_SECONDS,
+        pin: /^\d{4,8}$/.test(pin || '') ? pin : DEFAULT_PIN,
+        volume: params.has('kioskVolume') && Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : DEFAULT_VOLUME
+    };
+    return config;
+}
+
+export function isKioskEnabled() {
+    return Boolean(config?.enabled);
+}
+
+export function checkKioskPin(value) {
+    return Boolean(config) && String(value) === config.pin;
+}
+
+/**
+ * Starts watching for inactivity.
+ * @param {{ onIdle: () => void, onActivity: (event: Event) => boolean|void, onExitGesture: () => void, isBusy?: () => boolean }} callbacks
+ *   onActivity returns true when it consumed the input (waking the attract loop),
+ *   so the touch does not also press whatever was under the finger.
+ */
+export function startKiosk(callbacks) {
+    if (!getKioskConfig().enabled) return false;
+    handlers = callbacks;
+    if (!listening) {
+        listening = true;
+        ['pointerdown', 'keydown', 'wheel'].forEach(type => {
+            window.addEventListener(type, handleActivity, { capture: true });
+        });
+        window.addEventListener('pointermove', handleHoldMove, { capture: true, passive: true });
+        window.addEventListener('pointerup', cancelHold, { capture: true });
+        window.addEventListener('pointercancel', cancelHold, { capture: true });
+        window.addEventListener('click', swallowClick, { capture: true });
+    }
+    resetIdleTimer();
+    return true;
+}
+
+/** Turns kiosk mode off for this page and drops ?kiosk from the address bar. */
+export function stopKiosk() {
+    if (config) config.enabled = false;
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    cancelHold();
+    try {
+        const url = new URL(window.location.href);
+        ['kiosk', 'kioskVolume', 'pin'].forEach(param => url.searchParams.delete(param));
+        window.history.replaceState(window.history.state, '', url.toString());
+    } catch (err) {
+        // Sandboxed iframes can refuse history updates; a reload would re-enter kiosk mode
+    }
+}
+
+export function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    if (!isKioskEnabled()) return;
+    idleTimer = setTimeout(() => {
+        // A presentation or a voice conversation is still going: check again later
+        if (handlers?.isBusy?.()) {
+            resetIdleTimer();
+            return;
+        }
+        handlers?.onIdle();
+    }, config.idleSeconds * 1000);
+}
+
+function handleActivity(event) {
+    if (!isKioskEnabled()) return;
+    if (event.type === 'pointerdown') startHold(event);
+    resetIdleTimer();
+    if (handlers?.onActivity(event) === true) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.type === 'pointerdown') swallowClickUntil = performance.now() + 800;
+    }
+}
+
+function swallowClick(event) {
+    if (performance.now() > swallowClickUntil) return;
+    swallowClickUntil = 0;
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+function startHold(event) {
+    cancelHold();
+    if (event.clientX > CORNER_SIZE || event.clientY > CORNER_SIZE) return;
+    hold = {
+        pointerId: event.pointerId,
+        x: event.clientX,
+        y: event.clientY,
+        timer: setTimeout(() => {
+            hold = null;
+            handlers?.onExitGesture();
+        }, HOLD_DURATION)
+    };
+}
+
+function handleHoldMove(event) {
+    if (!hold || event.pointerId !== hold.pointerId) return;
+    if (Math.hypot(event.clientX - hold.x, event.clientY - hold.y) > HOLD_TOLERANCE) cancelHold();
+}
+
+function cancelHold() {
+    if (!hold) return;
+    clearTimeout(hold.timer);
+    hold = null;
+}
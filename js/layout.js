@@ -0,0 +1,224 @@
+/**
+ * Showroom Layout
+ * Places any number of products along a U-shaped gallery line that follows the
+ * side and back walls, and derives ARIA's standing spots and hero camera angles.
+ */
+
+import * as THREE from 'three';
+import { ROOM_WIDTH, ROOM_DEPTH } from './showroom.js';
+
+// Gallery line, measured from the walls
+const BACK_AISLE = 5; // Keeps the fireplace visible behind the back row
+const SIDE_AISLE = 3;
+const CORNER_RADIUS = 2.5;
+const SIDE_END_Z = 2; // Side rows stop level with ARIA's start spot...
+const SIDE_END_Z_MAX = ROOM_DEPTH / 2 - 4; // ...unless the collection needs more room
+
+const PREFERRED_GAP = 4;
+const MIN_GAP = 0.8;
+const NUDGE_STEP = 0.05;
+const FACING_BIAS = 0.35; // How much products turn from the wall normal toward the visitor
+const FOCAL_POINT = new THREE.Vector3(0, 0, 2);
+const WALL_MARGIN = 0.4;
+
+let layout = new Map();
+
+function createGalleryPath(sideEndZ) {
+    const xIn = ROOM_WIDTH / 2 - SIDE_AISLE;
+    const zBack = -ROOM_DEPTH / 2 + BACK_AISLE;
+    const straight = Math.max(0, xIn - CORNER_RADIUS);
+    const arc = Math.PI / 2 * CORNER_RADIUS;
+    const side = Math.max(0, sideEndZ - (zBack + CORNER_RADIUS));
+    const halfLength = straight + arc + side;
+
+    // Right half, parameterised by distance from the back-wall centre
+    const sampleRight = (d) => {
+        if (d <= straight) {
+            return { x: d, z: zBack, tx: 1, tz: 0 };
+        }
+        if (d <= straight + arc) {
+            const angle = (d - straight) / CORNER_RADIUS;
+            return {
+                x: straight + Math.sin(angle) * CORNER_RADIUS,
+                z: zBack + (1 - Math.cos(angle)) * CORNER_RADIUS,
+                tx: Math.cos(angle),
+                tz: Math.sin(angle)
+            };
+        }
+        return { x: xIn, z: zBack + CORNER_RADIUS + (d - straight - arc), tx: 0, tz: 1 };
+    };
+
+    // s runs from -halfLength (left front) to +halfLength (right front)
+    const sample = (s) => {
+        const d = THREE.MathUtils.clamp(Math.abs(s), 0, halfLength);
+        const p = sampleRight(d);
+        if (s < 0) {
+            p.x = -p.x;
+            p.tz = -p.tz;
+        }
+        return {
+            position: new THREE.Vector3(p.x, 0, p.z),
+            normal: new THREE.Vector3(-p.tz, 0, p.tx)
+        };
+    };
+
+    return { halfLength, sample };
+}
+
+function pathLengthFor(span) {
+    const probe = createGalleryPath(SIDE_END_Z);
+    const missing = span / 2 - probe.halfLength;
+    if (missing <= 0) return SIDE_END_Z;
+    return Math.min(SIDE_END_Z_MAX, SIDE_END_Z + missing);
+}
+
+function lerpAngle(from, to, t) {
+    let diff = to - from;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return from + diff * t;
+}
+
+/**
+ * Lays out products in catalog order, left to right.
+ * @param {{ id: string, width: number }[]} items - width is the footprint diameter in metres
+ * @returns {Map<string, object>}
+ */
+export function computeShowroomLayout(items) {
+    layout = new Map();
+    const count = items.length;
+    if (count === 0) return layout;
+
+    const widths = items.map(item => Math.max(0.5, Number(item.width) || 0));
+    const totalWidth = widths.reduce((sum, w) => sum + w, 0);
+    const path = createGalleryPath(pathLengthFor(totalWidth + (count - 1) * MIN_GAP));
+    const available = path.halfLength * 2;
+
+    let gap = count > 1
+        ? THREE.MathUtils.clamp((available - totalWidth) / (count - 1), MIN_GAP, PREFERRED_GAP)
+        : 0;
+    if (count > 1 && totalWidth + gap * (count - 1) > available) {
+        gap = Math.max(0, (available - totalWidth) / (count - 1));
+        console.warn(`Showroom layout: ${count} products do not fit comfortably, spacing reduced`);
+    }
+
+    // Arc-length positions, centred on the back wall
+    const span = totalWidth + gap * (count - 1);
+    const offsets = [];
+    let cursor = -span / 2;
+    widths.forEach((w) => {
+        offsets.push(cursor + w / 2);
+        cursor += w + gap;
+    });
+
+    // Corners shorten the straight-line distance: push neighbours apart, centre outwards
+    const separate = (index, neighbour, direction) => {
+        const required = widths[index] / 2 + widths[neighbour] / 2 + gap;
+        let guard = 0;
+        while (guard++ < 400) {
+            const a = path.sample(offsets[index]).position;
+            const b = path.sample(offsets[neighbour]).position;
+            if (a.distanceTo(b) >= required || Math.abs(offsets[index]) >= path.halfLength) break;
+            for (let i = index; i >= 0 && i < count; i += direction) {
+                offsets[i] += NUDGE_STEP * direction;
+            }
+        }
+    };
+    for (let i = Math.floor(count / 2) + (count % 2); i < count; i++) separate(i, i - 1, 1);
+    for (let i = Math.ceil(count / 2) - 1 - (count % 2); i >= 0; i--) separate(i, i + 1, -1);
+
+    items.forEach((item, index) => {
+        const s = offsets[index];
+        const { position, normal } = path.sample(s);
+        const wallAngle = Math.atan2(normal.x, normal.z);
+        const focalAngle = Math.atan2(FOCAL_POINT.x - position.x, FOCAL_POINT.z - position.z);
+        const rotation = lerpAngle(wallAngle, focalAngle, FACING_BIAS);
+        const front = new THREE.Vector3(Math.sin(rotation), 0, Math.cos(rotation));
+
+        const wallClearance = Math.min(
+            ROOM_WIDTH / 2 - Math.abs(position.x),
+            ROOM_DEPTH / 2 + position.z
+        );
+
+        layout.set(item.id, {
+            position,
+            rotation,
+            front,
+            // Points along the row, left to right as seen from the front
+            tangent: new THREE.Vector3(front.z, 0, -front.x),
+            // Which way ARIA and the hero camera shift: toward the middle of the row
+            side: Math.abs(s) < 1 ? 0 : -Math.sign(s),
+            maxOrbitRadius: Math.max(0, wallClearance - WALL_MARGIN)
+        });
+    });
+
+    return layout;
+}
+
+export function getProductLayout(name) {
+    const entry = layout.get(name);
+    if (!entry) return null;
+    return {
+        ...entry,
+        position: entry.position.clone(),
+        front: entry.front.clone(),
+        tangent: entry.tangent.clone()
+    };
+}
+
+export function clampToRoom(point, margin = WALL_MARGIN) {
+    point.x = THREE.MathUtils.clamp(point.x, -ROOM_WIDTH / 2 + margin, ROOM_WIDTH / 2 - margin);
+    point.z = THREE.MathUtils.clamp(point.z, -ROOM_DEPTH / 2 + margin, ROOM_DEPTH / 2 - margin);
+    return point;
+}
+
+const FALLBACK_LAYOUT = {
+    position: new THREE.Vector3(),
+    front: new THREE.Vector3(0, 0, 1),
+    tangent: new THREE.Vector3(1, 0, 0),
+    side: 0,
+    maxOrbitRadius: Infinity
+};
+
+export function getAriaSpot(name, bounds) {
+    const entry = layout.get(name) || FALLBACK_LAYOUT;
+    const radius = bounds ? bounds.radius : 1.6;
+    const clearance = 1.1;
+    const frontOffset = Math.max(1.6, radius + clearance);
+    const sideOffset = Math.min(1.6, Math.max(0.9, radius * 0.35));
+
+    const spot = entry.position.clone()
+        .addScaledVector(entry.front, frontOffset)
+        .addScaledVector(entry.tangent, entry.side * sideOffset);
+
+    const productPos = bounds ? bounds.center.clone() : entry.position.clone();
+    const offset = spot.clone().sub(productPos);
+    offset.y = 0;
+    const minDistance = radius + clearance;
+    if (offset.length() < minDistance) {
+        offset.setLength(minDistance);
+        spot.copy(productPos).add(offset);
+    }
+
+    spot.y = 0;
+    return clampToRoom(spot, 0.8);
+}
+
+export function getHeroCamera(name, bounds) {
+    const entry = layout.get(name) || FALLBACK_LAYOUT;
+    const productPos = bounds ? bounds.center.clone() : entry.position.clone();
+    productPos.y = Math.max(0.5, productPos.y);
+    const radius = bounds ? bounds.radius : 2.8;
+
+    const lookAt = productPos.clone();
+    lookAt.y += bounds ? Math.min(1.0, Math.max(0.5, bounds.size.y * 0.22)) : 0.8;
+
+    const distance = Math.max(4.6, radius + 3.2);
+    const sideShift = bounds ? Math.min(1.6, Math.max(0.8, radius * 0.35)) : 1.5;
+    const position = productPos.clone()
+        .addScaledVector(entry.front, distance)
+        .addScaledVector(entry.tangent, entry.side * sideShift);
+    position.y = Math.max(1.0, productPos.y + 0.6);
+
+    return { position: clampToRoom(position), lookAt };
+}
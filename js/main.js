@@ -10,16 +10,32 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
 import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
 
-import { createShowroom, updateShowroom } from './showroom.js';
-import { loadARIA, updateARIA, walkToProduct, walkToStart } from './aria.js';
-import { loadProduct, updateProduct, changeProductColor, activateProductSpotlight, getProductBounds, getProductFocusPosition, setCurrentProduct, clearCurrentProduct } from './product.js';
+import { createShowroom, updateShowroom, setFireShadows } from './showroom.js';
+import { loadARIA, updateARIA, walkToProduct, walkToStart, playARIAGesture, isARIAAnimating } from './aria.js';
+import { loadProduct, updateProduct, changeProductColor, activateProductSpotlight, getProductBounds, getProductFocusPosition, setCurrentProduct, clearCurrentProduct, getProductZones, getProductConfiguration, prioritizeProduct, isProductLoaded, isProductAvailable } from './product.js';
 import { CameraController } from './camera.js';
 import { AudioSystem } from './audio.js';
 import { UIController } from './ui.js';
-
-let scene, camera, renderer, composer;
+import { loadCatalog, getCollections, getCollection, hasCollection, resolveCollectionId } from './catalog.js';
+import { detectIntent, resolveFinish } from './intents.js';
+import { registerCommands } from './commands.js';
+import { getTranscript, clearTranscript } from './transcript.js';
+import { registerOutputSource } from './voice-meter.js';
+import { getProductLayout, clampToRoom } from './layout.js';
+import { detectLanguage, getLanguage, setLanguage, localize, t } from './i18n.js';
+import { watchMotionPreference, isReducedMotion, setReducedMotion } from './motion.js';
+import { initQuality, getQualityTier, isQualityPinned, recordFrame } from './quality.js';
+import { getKioskConfig, isKioskEnabled, startKiosk, stopKiosk, checkKioskPin, resetIdleTimer } from './kiosk.js';
+import { onAssetProgress, getGroupProgress } from './assets.js';
+import { track, addSink, createConsoleSink, createBeaconSink, setAnalyticsConsent } from './analytics.js';
+import { hasConsent, isConsentDecided, setConsent } from './consent.js';
+import { registerServiceWorker, watchInstallPrompt, canInstall, promptInstall, isStandalone } from './pwa.js';
+import { parseDeepLink, updateDeepLink, getDeepLinkUrl } from './deeplink.js';
+import { validateQuote, submitQuote, flushQuoteQueue, setQuoteAdapter, createHttpAdapter, createMockAdapter, isQuoteConfigured } from './quote.js';
+
+let scene, camera, renderer, composer, bloomPass, sceneFog;
 let clock, cameraController, audioSystem, uiController;
-let currentCollection = 'elegance';
+let currentCollection = null;
 let raycaster, mouse;
 let allowProductOrbit = false;
 let introState = null;
@@ -27,8 +43,28 @@ let collectionRequestLock = false;
 let collectionRequestId = 0;
 let pendingCollectionRequest = null;
 let cinematicState = null;
-const VALID_COLLECTIONS = new Set(['elegance', 'minimal', 'luxury']);
+let pendingDeepLink = null;
+let quoteContext = null;
+let attractState = null;
+let replySubtitleTimer = null;
+// Journey timings reported to analytics (performance.now())
+let productViewStartedAt = null;
+let orbitStartedAt = null;
 const rootElement = document.documentElement;
+// Frame rate while nothing moves: keeps the idle breathing and the fire alive
+const IDLE_FPS = 20;
+let renderLoopId = null;
+let lastRenderTime = 0;
+let wakeUntil = 0;
+let previousFrameActive = false;
+// Kiosk attract loop: seconds of showroom tour between collections, ms on each product
+const ATTRACT_TOUR_DURATION = 24;
+const ATTRACT_PRODUCT_HOLD = 6000;
+// The loading screen gives up after this long without any download progress (ms)
+const LOADING_TIMEOUT = 30000;
+let loadingTimer = null;
+const BLOOM_STRENGTH = 0.4;
+const REDUCED_BLOOM_STRENGTH = 0.15;
 
 function isFullscreenActive() {
     return document.fullscreenElement || document.webkitFullscreenElement;
@@ -97,17 +133,23 @@ function syncViewportUnits() {
 }
 
 async function init() {
+    armLoadingTimeout();
+    await loadCatalog();
+    pendingDeepLink = readDeepLink();
+
+    const quality = initQuality();
     clock = new THREE.Clock();
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x0a0a0a); // Will be covered by room
-    scene.fog = new THREE.Fog(0x0a0a0a, 10, 50);
+    sceneFog = new THREE.Fog(0x0a0a0a, 10, 50);
+    scene.fog = sceneFog;
 
     const { width, height } = getViewportSize();
     camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 100);
     camera.position.set(0, 1.6, 6);
 
-    renderer = new THREE.WebGLRenderer({ canvas: document.getElementById('canvas-3d'), antialias: true });
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer = new THREE.WebGLRenderer({ canvas: document.getElementById('canvas-3d'), antialias: quality.antialias });
+    renderer.setPixelRatio(getRenderPixelRatio());
     renderer.setSize(width, height, false);
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.shadowMap.enabled = true;
@@ -116,25 +158,64 @@ async function init() {
 
     // SINGLE SHARED KTX2 LOADER INSTANCE
     const ktx2Loader = new KTX2Loader()
-        .setTranscoderPath('https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/libs/basis/')
+        .setTranscoderPath('./vendor/three/examples/jsm/libs/basis/')
         .detectSupport(renderer);
 
     composer = new EffectComposer(renderer);
     composer.addPass(new RenderPass(scene, camera));
-    composer.addPass(new UnrealBloomPass(new THREE.Vector2(width, height), 0.4, 0.4, 0.85));
+    bloomPass = new UnrealBloomPass(new THREE.Vector2(width, height), getBloomStrength(), 0.4, 0.85);
+    composer.addPass(bloomPass);
+    window.addEventListener('aria:motionChange', () => {
+        bloomPass.strength = getBloomStrength();
+    });
+
+    applyQualityTier(quality);
+    // Confirms a ?quality= pin to QA; the governor's own changes stay quiet
+    if (isQualityPinned()) console.info(`Rendering quality: ${quality.name} (pinned)`);
+    window.addEventListener('aria:qualityChange', (event) => {
+        applyQualityTier(event.detail.tier);
+        requestRender();
+    });
 
     setupViewportListeners();
 
     cameraController = new CameraController(camera, renderer);
 
     audioSystem = new AudioSystem();
+    audioSystem.onCueChange = (text) => {
+        if (text) {
+            uiController.showSubtitle(text);
+        } else {
+            uiController.hideSubtitle();
+        }
+    };
+    // The narration in the voice bar waveform, and what barge-in listens over
+    registerOutputSource({
+        isActive: () => audioSystem.isSpeaking(),
+        getLevel: () => audioSystem.getOutputLevel(),
+        getWaveform: data => audioSystem.getWaveform(data)
+    });
     uiController = new UIController({
         onStart: startExperience,
         onCollectionSelect: requestCollection,
-        onColorChange: (color) => changeProductColor(color),
-        onCTAClick: () => uiController.showContactModal(),
-        onBack: handleBack
+        onColorChange: (finish, zone) => selectFinish(finish, zone, 'ui'),
+        onCTAClick: openQuote,
+        onContactModalClose: () => {
+            track('quote_close', { collection: quoteContext?.collection ?? null, submitted: Boolean(quoteContext?.submitted) });
+        },
+        onQuoteSubmit: handleQuoteSubmit,
+        onShare: shareCurrentView,
+        onLanguageChange: (language) => setLanguage(language),
+        onBack: handleBack,
+        onKioskPinSubmit: exitKioskMode,
+        onConsentSave: (choices) => {
+            setConsent(choices);
+            uiController.showToast(t('consent.saved'));
+        }
     });
+    uiController.renderCollections(getCollections());
+    uiController.setActiveLanguage();
+    window.addEventListener('aria:languageChange', (event) => applyLanguage(event.detail.language));
 
     const skipIntroButton = document.getElementById('skip-intro');
     if (skipIntroButton) {
@@ -146,59 +227,152 @@ async function init() {
         stopCinematicButton.addEventListener('click', () => cancelActiveCinematic('user'));
     }
 
+    setupQuotePipeline();
+    setupKeyboardControls();
+    setupKioskMode();
+
+    // Features that need a consent the visitor has not given ask for it here
+    window.addEventListener('aria:consentRequest', (event) => {
+        uiController.showConsentPanel({ focus: event.detail?.category });
+        if (event.detail?.category === 'voice') uiController.showToast(t('consent.voiceNeeded'));
+        if (event.detail?.category === 'remote') uiController.showToast(t('consent.remoteNeeded'));
+    });
+
     window.addEventListener('aria:collectionSelect', (event) => {
         requestCollection(event?.detail || {});
     });
+    setupIntentHandlers();
+    setupSceneCommands();
+    setupAssistantReplies();
+
+    // A link pasted into an already running experience
+    window.addEventListener('hashchange', () => {
+        const link = readDeepLink();
+        if (!link) return;
+        if (document.getElementById('ui-overlay')?.classList.contains('hidden')) {
+            pendingDeepLink = link;
+            return;
+        }
+        requestCollection({ ...link, source: 'link' });
+    });
 
     // INTERACTION
     raycaster = new THREE.Raycaster();
     mouse = new THREE.Vector2();
     setupCanvasInteractions();
 
-    // LOADING MANAGER
-    const loadingManager = new THREE.LoadingManager();
+    // LOADING: the room and ARIA gate the intro, the sofas stream in behind silhouettes
+    onAssetProgress((asset) => {
+        if (asset.group === 'essential') {
+            armLoadingTimeout();
+            updateLoadingProgress(getGroupProgress('essential').fraction);
+            return;
+        }
+        getCollections()
+            .filter(entry => entry.model === asset.url)
+            .forEach(entry => uiController.setCollectionProgress(entry.id, asset.done ? null : asset.loaded / asset.total));
+    });
+    window.addEventListener('aria:productLoaded', () => requestRender());
+    window.addEventListener('aria:productFailed', (event) => {
+        uiController.setCollectionAvailable(event.detail.collection, false);
+    });
 
-    loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
-        const percentage = Math.round((itemsLoaded / itemsTotal) * 100);
-        const progressBar = document.querySelector('.loader-progress-bar');
-        const percentageText = document.querySelector('.loader-percentage');
+    const showroomReady = createShowroom(scene, ktx2Loader);
+    const ariaReady = loadARIA(scene, ktx2Loader);
+    const productsReady = loadProduct(scene, ktx2Loader);
+    // A shared link opens on its sofa: fetch that one first
+    if (pendingDeepLink) prioritizeProduct(pendingDeepLink.collection);
 
-        if (progressBar) progressBar.style.width = percentage + '%';
-        if (percentageText) percentageText.textContent = percentage + '%';
-    };
+    await Promise.all([showroomReady, ariaReady]);
+    onEssentialsLoaded();
+    // Offline caching starts once the models are in, so it does not compete with them
+    productsReady.then(setupServiceWorker);
 
-    loadingManager.onLoad = () => {
-        const loadingScreen = document.getElementById('loading-screen');
-        if (loadingScreen) {
-            loadingScreen.classList.add('fade-out');
+    setupRenderOnDemand();
+    startRenderLoop();
+}
 
-            // Force removal after transition to ensure UI is clickable
-            setTimeout(() => {
-                loadingScreen.style.display = 'none';
-            }, 1000); // Wait for CSS transition (0.8s)
-        }
+/**
+ * Analytics sinks: ?analytics=console logs the journey, data-analytics-endpoint
+ * on <body> sends it in batches once the visitor consents.
+ */
+function setupAnalytics() {
+    if (new URLSearchParams(window.location.search).get('analytics') === 'console') {
+        addSink(createConsoleSink());
+    }
+    const endpoint = document.body.dataset.analyticsEndpoint;
+    if (endpoint) addSink(createBeaconSink(endpoint));
 
-        // Reveal Intro Screen
-        setTimeout(() => {
-            const intro = document.getElementById('intro-screen');
-            if (intro) intro.classList.remove('hidden');
-        }, 500);
-    };
+    // A choice saved on an earlier visit applies straight away; until then events are held
+    if (isConsentDecided()) setAnalyticsConsent(hasConsent('analytics'));
+    window.addEventListener('aria:consentChange', (event) => setAnalyticsConsent(event.detail.choices.analytics));
+}
 
-    loadingManager.onError = (url) => {
-        console.error('Error loading ' + url);
-    };
+function setupServiceWorker() {
+    registerServiceWorker({
+        onOfflineReady: () => uiController.showToast(t('offline.ready')),
+        onUpdateReady: () => uiController.showToast(t('offline.updateReady'))
+    });
+}
+
+function updateLoadingProgress(fraction) {
+    const percentage = Math.round(Math.min(1, fraction) * 100);
+    const progressBar = document.querySelector('.loader-progress-bar');
+    const percentageText = document.querySelector('.loader-percentage');
+
+    if (progressBar) progressBar.style.width = percentage + '%';
+    if (percentageText) percentageText.textContent = percentage + '%';
+}
+
+function armLoadingTimeout() {
+    clearTimeout(loadingTimer);
+    loadingTimer = setTimeout(() => showLoadError('timeout'), LOADING_TIMEOUT);
+}
+
+/**
+ * Replaces the loading screen with the error screen; Retry reloads the page.
+ * @param {'failed'|'timeout'} reason
+ */
+function showLoadError(reason) {
+    clearTimeout(loadingTimer);
+    const screen = document.getElementById('error-screen');
+    if (!screen) return;
+    const text = document.getElementById('error-text');
+    if (text) text.textContent = t(reason === 'timeout' ? 'error.timeout' : 'error.failed');
+    screen.classList.remove('hidden');
+    document.getElementById('error-retry')?.focus();
+}
+
+function setupLoadErrorScreen() {
+    document.getElementById('error-retry')?.addEventListener('click', () => window.location.reload());
+}
 
-    // PASS MANAGER TO SHOWROOM (Crucial for progress tracking)
-    createShowroom(scene, ktx2Loader, loadingManager);
+function onEssentialsLoaded() {
+    clearTimeout(loadingTimer);
+    // A slow connection may still get there after the timeout
+    document.getElementById('error-screen')?.classList.add('hidden');
+    updateLoadingProgress(1);
+    // Lights added by the models pick up the current shadow settings
+    applyQualityTier(getQualityTier());
 
-    // LOAD MODELS
-    await Promise.all([
-        loadARIA(scene, loadingManager, ktx2Loader),
-        loadProduct(scene, loadingManager, ktx2Loader)
-    ]);
+    const loadingScreen = document.getElementById('loading-screen');
+    if (loadingScreen) {
+        loadingScreen.classList.add('fade-out');
 
-    animate();
+        // Force removal after transition to ensure UI is clickable
+        setTimeout(() => {
+            loadingScreen.style.display = 'none';
+        }, 1000); // Wait for CSS transition (0.8s)
+    }
+
+    // Reveal Intro Screen
+    setTimeout(() => {
+        const intro = document.getElementById('intro-screen');
+        if (intro) intro.classList.remove('hidden');
+        // First visit: optional features stay off until the visitor chooses.
+        // Kiosks are shared devices, so nobody is asked on the others' behalf
+        if (!isConsentDecided() && !isKioskEnabled()) uiController.showConsentPanel();
+    }, 500);
 }
 
 function onResize() {
@@ -207,11 +381,52 @@ function onResize() {
     if (width <= 0 || height <= 0) return;
     camera.aspect = width / height;
     camera.updateProjectionMatrix();
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.setPixelRatio(getRenderPixelRatio());
     renderer.setSize(width, height, false);
     composer.setSize(width, height);
 }
 
+function getRenderPixelRatio() {
+    return Math.min(window.devicePixelRatio, getQualityTier().pixelRatio);
+}
+
+/** Applies a quality tier (see quality.js) to the renderer, the post-processing and the lights. */
+function applyQualityTier(tier) {
+    if (!renderer || !composer || !scene) return;
+    const { width, height } = getViewportSize();
+    renderer.setPixelRatio(getRenderPixelRatio());
+    renderer.setSize(width, height, false);
+    composer.setPixelRatio(renderer.getPixelRatio());
+    composer.setSize(width, height);
+
+    // Without bloom the composer's scene pass draws straight to the canvas
+    bloomPass.enabled = tier.bloom;
+    scene.fog = tier.fog ? sceneFog : null;
+
+    const shadowsEnabled = tier.shadowMapSize > 0;
+    const shadowType = tier.softShadows ? THREE.PCFSoftShadowMap : THREE.PCFShadowMap;
+    // Shadow settings are compiled into the shaders
+    const recompile = renderer.shadowMap.enabled !== shadowsEnabled || renderer.shadowMap.type !== shadowType;
+    renderer.shadowMap.enabled = shadowsEnabled;
+    renderer.shadowMap.type = shadowType;
+    setFireShadows(tier.fireShadows && shadowsEnabled);
+
+    scene.traverse((object) => {
+        if (object.isLight && object.shadow && shadowsEnabled && object.shadow.mapSize.x !== tier.shadowMapSize) {
+            object.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+            if (object.shadow.map) {
+                object.shadow.map.dispose();
+                object.shadow.map = null;
+            }
+        }
+        if (recompile && object.material) {
+            [].concat(object.material).forEach(material => {
+                material.needsUpdate = true;
+            });
+        }
+    });
+}
+
 function setupViewportListeners() {
     onResize();
     window.addEventListener('resize', onResize);
@@ -283,7 +498,6 @@ function setupFullscreenPrompt() {
     if (!prompt || !yesButton || !noButton) return;
 
     const promptText = prompt.querySelector('.fullscreen-text');
-    const defaultPromptText = promptText ? promptText.textContent : '';
     const storageKey = 'ariaFullscreenPromptDismissed';
     const mobilePointer = window.matchMedia('(pointer: coarse)');
     const mobileViewport = window.matchMedia('(max-width: 1024px)');
@@ -308,12 +522,18 @@ function setupFullscreenPrompt() {
     };
 
     const resetPromptState = () => {
-        if (promptText) promptText.textContent = defaultPromptText;
+        if (promptText) promptText.textContent = t('fullscreen.prompt');
     };
 
     const showFallback = () => {
+        // Chromium can install the app, which then always opens full screen
+        if (canInstall()) {
+            promptInstall();
+            setVisible(false);
+            return;
+        }
         if (promptText) {
-            promptText.textContent = 'Aggiungi alla Home per il tutto schermo.';
+            promptText.textContent = t('fullscreen.homeScreen');
         }
     };
 
@@ -322,6 +542,7 @@ function setupFullscreenPrompt() {
         const shouldShow = isMobile
             && !portraitOrientation.matches
             && !isFullscreenActive()
+            && !isStandalone()
             && !isDismissed();
         if (shouldShow) {
             resetPromptState();
@@ -378,12 +599,13 @@ function setupFullscreenToggle() {
     const updateToggle = () => {
         const isMobile = mobilePointer.matches && mobileViewport.matches;
         const active = isFullscreenActive();
-        toggle.classList.toggle('hidden', !isMobile);
+        toggle.classList.toggle('hidden', !isMobile || isStandalone());
         toggle.removeAttribute('disabled');
         toggle.setAttribute('aria-disabled', 'false');
         toggle.setAttribute('aria-pressed', active ? 'true' : 'false');
-        toggle.setAttribute('aria-label', active ? 'Esci da schermo intero' : 'Schermo intero');
-        toggle.setAttribute('title', active ? 'Esci da schermo intero' : 'Schermo intero');
+        const label = t(active ? 'fullscreen.exit' : 'fullscreen.enter');
+        toggle.setAttribute('aria-label', label);
+        toggle.setAttribute('title', label);
     };
 
     const showToast = (message) => {
@@ -397,6 +619,14 @@ function setupFullscreenToggle() {
     };
     showToast.timeoutId = null;
 
+    const showHomeScreenHint = () => {
+        if (canInstall()) {
+            promptInstall();
+            return;
+        }
+        showToast(t('fullscreen.homeScreen'));
+    };
+
     toggle.addEventListener('click', () => {
         if (isFullscreenActive()) {
             exitFullscreen();
@@ -404,12 +634,12 @@ function setupFullscreenToggle() {
             const requested = requestFullscreen([renderer?.domElement, rootElement]);
             setTimeout(() => window.scrollTo(0, 1), 200);
             if (!requested) {
-                showToast('Aggiungi alla Home per il tutto schermo.');
+                showHomeScreenHint();
                 return;
             }
             setTimeout(() => {
                 if (!isFullscreenActive()) {
-                    showToast('Aggiungi alla Home per il tutto schermo.');
+                    showHomeScreenHint();
                 }
             }, 600);
         }
@@ -428,6 +658,33 @@ function setupFullscreenToggle() {
     document.addEventListener('webkitfullscreenchange', updateToggle);
     window.addEventListener('orientationchange', updateToggle);
     window.addEventListener('resize', updateToggle);
+    window.addEventListener('aria:languageChange', updateToggle);
+}
+
+function getBloomStrength() {
+    return isReducedMotion() ? REDUCED_BLOOM_STRENGTH : BLOOM_STRENGTH;
+}
+
+function setupMotionToggle() {
+    const toggle = document.getElementById('motion-toggle');
+    if (!toggle) return;
+
+    const updateToggle = () => {
+        const reduced = isReducedMotion();
+        toggle.setAttribute('aria-pressed', reduced ? 'true' : 'false');
+        const label = t(reduced ? 'motion.restore' : 'motion.reduce');
+        toggle.setAttribute('aria-label', label);
+        toggle.setAttribute('title', label);
+    };
+
+    toggle.addEventListener('click', () => {
+        const reduced = setReducedMotion(!isReducedMotion());
+        uiController?.showToast(t(reduced ? 'motion.reducedOn' : 'motion.reducedOff'));
+    });
+
+    updateToggle();
+    window.addEventListener('aria:motionChange', updateToggle);
+    window.addEventListener('aria:languageChange', updateToggle);
 }
 
 function setupCanvasInteractions() {
@@ -477,11 +734,7 @@ function onCanvasPointerDown(event) {
         || window.matchMedia('(pointer: coarse)').matches;
 
     if (isTouch) {
-        const targetPos = getProductFocusPosition(currentCollection);
-        const bounds = getProductBounds(currentCollection);
-        const radius = bounds ? bounds.radius : 2.8;
-        cameraController.enableOrbitMode(targetPos, { radius });
-        uiController.hideInteractHint();
+        enterProductOrbit('touch');
         return;
     }
 
@@ -501,23 +754,148 @@ function onCanvasPointerDown(event) {
         }
 
         if (isInteractable) {
-            const targetPos = getProductFocusPosition(currentCollection);
-            const bounds = getProductBounds(currentCollection);
-            const radius = bounds ? bounds.radius : 2.8;
-
-            cameraController.enableOrbitMode(targetPos, { radius });
-            uiController.hideInteractHint();
+            enterProductOrbit('pointer');
         }
     }
 }
 
-function animate() {
-    requestAnimationFrame(animate);
+/** @param {'touch'|'pointer'|'keyboard'|'voice'} input - reported to analytics */
+function enterProductOrbit(input) {
+    if (cameraController.isOrbiting) return;
+    orbitStartedAt = performance.now();
+    track('orbit_start', { collection: currentCollection, input });
+    const targetPos = getProductFocusPosition(currentCollection);
+    const bounds = getProductBounds(currentCollection);
+    const radius = bounds ? bounds.radius : 2.8;
+
+    cameraController.enableOrbitMode(targetPos, { radius });
+    uiController.hideInteractHint();
+}
+
+function canOrbitProduct() {
+    return allowProductOrbit && Boolean(cameraController)
+        && !document.getElementById('product-panel')?.classList.contains('hidden');
+}
+
+// Arrow keys orbit (radians per press), + and - zoom (distance factor)
+const ORBIT_KEYS = {
+    ArrowLeft: { azimuth: -0.12 },
+    ArrowRight: { azimuth: 0.12 },
+    ArrowUp: { polar: -0.05 },
+    ArrowDown: { polar: 0.05 },
+    '+': { zoom: 0.9 },
+    '=': { zoom: 0.9 },
+    '-': { zoom: 1.1 }
+};
+
+/**
+ * Keyboard equivalents of the pointer interactions: Escape stops the narration
+ * or skips the intro, 1-9 pick a collection, arrows and +/- orbit the product.
+ * The quote modal handles its own keys (see UIController).
+ */
+function setupKeyboardControls() {
+    window.addEventListener('keydown', (event) => {
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+        if (!uiController || uiController.isContactModalOpen() || uiController.isKioskPinOpen()) return;
+        if (event.target?.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        if (document.getElementById('ui-overlay')?.classList.contains('hidden')) return;
+
+        if (event.key === 'Escape') {
+            if (cinematicState && !cinematicState.cancelled) {
+                cancelActiveCinematic('user');
+            } else if (introState && !introState.cancelled) {
+                skipIntro();
+            } else {
+                return;
+            }
+            event.preventDefault();
+            return;
+        }
+
+        if (/^[1-9]$/.test(event.key)) {
+            const entry = getCollections()[Number(event.key) - 1];
+            if (!entry) return;
+            event.preventDefault();
+            requestCollection(entry.id, 'keyboard');
+            return;
+        }
+
+        const step = ORBIT_KEYS[event.key];
+        if (!step || !canOrbitProduct()) return;
+        event.preventDefault();
+        enterProductOrbit('keyboard');
+        if (step.zoom) {
+            cameraController.zoomBy(step.zoom);
+        } else {
+            cameraController.orbitBy(step.azimuth || 0, step.polar || 0);
+        }
+    });
+}
+
+/** Keeps the loop at full frame rate for a while, e.g. after user input. */
+function requestRender(duration = 1000) {
+    wakeUntil = Math.max(wakeUntil, performance.now() + duration);
+}
+
+function isSceneAnimating(now) {
+    return now < wakeUntil
+        || Boolean(cameraController?.isAnimating())
+        || isARIAAnimating()
+        || Boolean(audioSystem?.isSpeaking());
+}
+
+function startRenderLoop() {
+    if (renderLoopId !== null || document.hidden) return;
+    clock.getDelta(); // drop the time spent paused
+    previousFrameActive = false;
+    requestRender();
+    renderLoopId = requestAnimationFrame(animate);
+}
+
+function stopRenderLoop() {
+    if (renderLoopId === null) return;
+    cancelAnimationFrame(renderLoopId);
+    renderLoopId = null;
+}
+
+/**
+ * The loop runs at full rate only while something moves (see isSceneAnimating),
+ * ticks at IDLE_FPS otherwise and stops while the tab is hidden.
+ */
+function setupRenderOnDemand() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            stopRenderLoop();
+        } else {
+            startRenderLoop();
+        }
+    });
+
+    const wake = () => requestRender();
+    ['pointerdown', 'wheel', 'keydown', 'touchstart'].forEach(type => {
+        window.addEventListener(type, wake, { passive: true, capture: true });
+    });
+    window.addEventListener('pointermove', (event) => {
+        if (event.buttons) requestRender();
+    }, { passive: true, capture: true });
+    window.addEventListener('resize', wake);
+    window.addEventListener('aria:motionChange', wake);
+}
+
+function animate(now = performance.now()) {
+    renderLoopId = requestAnimationFrame(animate);
+    const active = isSceneAnimating(now);
+    if (!active && now - lastRenderTime < 1000 / IDLE_FPS) return;
+    lastRenderTime = now;
+
     const delta = clock.getDelta();
     const elapsed = clock.getElapsedTime();
+    // Idle ticks are slow on purpose: only back-to-back full-rate frames measure load
+    if (active && previousFrameActive) recordFrame(delta * 1000);
+    previousFrameActive = active;
 
     updateShowroom(elapsed);
-    if (audioSystem) updateARIA(elapsed, camera, audioSystem.isSpeaking());
+    if (audioSystem) updateARIA(elapsed, camera, audioSystem.isSpeaking(), audioSystem.getOutputLevel());
     updateProduct(elapsed);
     if (cameraController) cameraController.update(delta);
 
@@ -544,6 +922,7 @@ function setUILocked(locked) {
 function createIntroState() {
     const state = {
         cancelled: false,
+        startedAt: performance.now(),
         cancelHooks: [],
         skipResolve: null,
         skipPromise: null
@@ -583,13 +962,17 @@ function createCinematicState() {
 
 function cancelActiveCinematic(reason = 'user') {
     if (!cinematicState || cinematicState.cancelled) return;
+    track('narration_cancel', { collection: currentCollection, reason });
     cinematicState.cancelled = true;
     cinematicState.reason = reason;
     if (audioSystem) audioSystem.stop();
     if (cameraController && typeof cameraController.stopTour === 'function') {
         cameraController.stopTour();
     }
-    if (uiController) uiController.hideSubtitle();
+    if (uiController) {
+        uiController.hideSubtitle();
+        if (reason === 'user') uiController.announce(t('a11y.narrationStopped'));
+    }
     showStopCinematic(false);
     if (cinematicState.resolve) cinematicState.resolve();
 }
@@ -614,20 +997,18 @@ async function playIntroSequence(state) {
     if (state?.cancelled) return;
     await waitWithCancel(1400, state);
 
-    if (state?.cancelled) return;
-    await cameraController.transitionTo('custom', 7.0, new THREE.Vector3(-7.2, 1.6, 2.3), new THREE.Vector3(-6, 1, -5));
-    if (state?.cancelled) return;
-    await waitWithCancel(1600, state);
-
-    if (state?.cancelled) return;
-    await cameraController.transitionTo('custom', 7.0, new THREE.Vector3(0, 1.6, 2.3), new THREE.Vector3(0, 1, -5));
-    if (state?.cancelled) return;
-    await waitWithCancel(1600, state);
-
-    if (state?.cancelled) return;
-    await cameraController.transitionTo('custom', 7.0, new THREE.Vector3(7.2, 1.6, 2.3), new THREE.Vector3(6, 1, -5));
-    if (state?.cancelled) return;
-    await waitWithCancel(1600, state);
+    // One establishing shot per product, in layout order (left to right)
+    const placements = getCollections().map(entry => getProductLayout(entry.id)).filter(Boolean);
+    for (const placement of placements) {
+        if (state?.cancelled) return;
+        const camPos = clampToRoom(placement.position.clone().addScaledVector(placement.front, 7.3));
+        camPos.y = 1.6;
+        const lookAt = placement.position.clone();
+        lookAt.y = 1;
+        await cameraController.transitionTo('custom', 7.0, camPos, lookAt);
+        if (state?.cancelled) return;
+        await waitWithCancel(1600, state);
+    }
 
     if (state?.cancelled) return;
     // CLOSE-UP ON ARIA START
@@ -637,6 +1018,7 @@ async function playIntroSequence(state) {
 
 function skipIntro() {
     if (!introState || introState.cancelled) return;
+    track('intro_skip', { after: Math.round(performance.now() - introState.startedAt) });
     introState.cancelled = true;
     introState.cancelHooks.forEach(fn => fn());
     introState.cancelHooks = [];
@@ -652,7 +1034,7 @@ function skipIntro() {
     const transitionPromise = cameraController
         ? cameraController.transitionTo('custom', 1.4, new THREE.Vector3(0, 0.5, 3.5), new THREE.Vector3(0, 0, 0))
         : null;
-    uiController.showCollectionButtons();
+    showCollectionChoice();
     setUILocked(false);
     showSkipIntro(false);
     introState = null;
@@ -661,18 +1043,32 @@ function skipIntro() {
 
 async function startExperience() {
     setUILocked(true);
+    const deepLink = pendingDeepLink;
+    pendingDeepLink = null;
+    track('experience_start', { deepLink: deepLink ? deepLink.collection : null, kiosk: isKioskEnabled() });
+    // Left undecided: everything optional stays off, the Privacy button reopens the panel
+    uiController.hideConsentPanel();
 
     if (audioSystem && typeof audioSystem.unlock === 'function') {
-        audioSystem.unlock('apertura');
+        audioSystem.unlock(deepLink ? `collezione-${deepLink.collection}` : 'apertura');
     }
 
     await uiController.hideIntro();
     uiController.showOverlay();
 
     introState = createIntroState();
+
+    // Shared links go straight to the product: requestCollection skips the intro
+    if (deepLink) {
+        requestCollection({ ...deepLink, source: 'link' });
+        return;
+    }
+
     showSkipIntro(true);
+    uiController.announce(t('a11y.introStarted'));
 
     const introAudio = audioSystem ? audioSystem.playApertura() : Promise.resolve(true);
+    playARIAGesture('wave');
     const introSequence = playIntroSequence(introState);
 
     await Promise.race([introSequence, introState.skipPromise]);
@@ -684,12 +1080,126 @@ async function startExperience() {
     }
 
     await new Promise(r => setTimeout(r, 500));
-    uiController.showCollectionButtons();
+    showCollectionChoice();
     setUILocked(false);
     showSkipIntro(false);
     introState = null;
 }
 
+function setupKioskMode() {
+    if (!getKioskConfig().enabled) return;
+    document.body.classList.add('kiosk-mode');
+    startKiosk({
+        onIdle: startAttractLoop,
+        // The touch that ends the attract loop only wakes the experience
+        onActivity: () => {
+            if (!attractState) return false;
+            stopAttractLoop();
+            return true;
+        },
+        onExitGesture: () => {
+            stopAttractLoop();
+            uiController.showKioskPin();
+        },
+        isBusy: () => Boolean(cinematicState || introState || collectionRequestLock)
+            || ['connecting', 'ready', 'listening', 'speaking'].includes(document.getElementById('voice-bar')?.dataset.state)
+    });
+}
+
+function exitKioskMode(pin) {
+    if (!checkKioskPin(pin)) return false;
+    stopAttractLoop();
+    stopKiosk();
+    document.body.classList.remove('kiosk-mode');
+    uiController.showToast(t('kiosk.exited'));
+    return true;
+}
+
+/**
+ * Kiosk attract loop: back to the start, then alternates a showroom tour with
+ * ARIA presenting the next collection at kiosk volume, until someone touches the screen.
+ */
+async function startAttractLoop() {
+    if (attractState || !isKioskEnabled()) return;
+    if (document.getElementById('ui-overlay')?.classList.contains('hidden')) {
+        // Still on the intro screen, which needs a tap to unlock audio anyway
+        resetIdleTimer();
+        return;
+    }
+
+    const state = createIntroState();
+    attractState = state;
+    uiController.discardContactForm();
+    // The next visitor does not see (or send) this one's conversation
+    clearTranscript();
+    uiController.hideKioskPin();
+    uiController.showAttractHint();
+    if (audioSystem) audioSystem.setVolume(getKioskConfig().volume);
+
+    if (currentCollection) {
+        cancelActiveCinematic('switch');
+        await handleBack();
+        if (attractState !== state) return;
+    }
+    uiController.hideCollectionButtons();
+
+    let index = 0;
+    while (attractState === state) {
+        uiController.hideProductPanel();
+        uiController.hideInteractHint();
+        allowProductOrbit = false;
+        cameraController.startShowroomTour({ duration: ATTRACT_TOUR_DURATION });
+        await waitWithCancel(ATTRACT_TOUR_DURATION * 1000, state);
+        const collections = getCollections().filter(entry => isProductAvailable(entry.id));
+        if (attractState !== state || collections.length === 0) return;
+
+        await requestCollection(collections[index % collections.length].id, 'kiosk');
+        index += 1;
+        if (attractState !== state) return;
+        await waitWithCancel(ATTRACT_PRODUCT_HOLD, state);
+    }
+}
+
+/** Ends the attract loop and hands the experience back in a usable state. */
+function stopAttractLoop() {
+    const state = attractState;
+    if (!state) return;
+    attractState = null;
+    state.cancelled = true;
+    state.cancelHooks.forEach(fn => fn());
+    state.cancelHooks = [];
+
+    if (audioSystem) audioSystem.setVolume(1);
+    uiController.hideAttractHint();
+    cameraController.stopShowroomTour();
+
+    // A presentation in progress carries on (walk) or ends with its product panel (narration)
+    if (cinematicState) {
+        cancelActiveCinematic('user');
+        return;
+    }
+    if (collectionRequestLock) return;
+
+    if (currentCollection) {
+        const requestId = collectionRequestId;
+        cameraController.frameAriaAndProduct(currentCollection, { duration: 0.9 }).then(() => {
+            if (requestId !== collectionRequestId || !currentCollection) return;
+            uiController.showProductPanel();
+            uiController.showInteractHint();
+            allowProductOrbit = true;
+        });
+        return;
+    }
+    cameraController.transitionTo('custom', 1.2, new THREE.Vector3(0, 0.5, 3.5), new THREE.Vector3(0, 0, 0));
+    showCollectionChoice();
+}
+
+function showCollectionChoice() {
+    uiController.showCollectionButtons();
+    uiController.announce(t('a11y.collectionsReady', { count: Math.min(getCollections().length, 9) }));
+    uiController.focusCollectionButtons();
+}
+
 function parseCollectionRequest(input, sourceFallback = 'ui') {
     let collection = '';
     let source = sourceFallback;
@@ -702,12 +1212,28 @@ function parseCollectionRequest(input, sourceFallback = 'ui') {
     }
 
     const normalized = collection.toLowerCase().trim();
-    return { collection: normalized, source };
+    return {
+        collection: normalized,
+        source,
+        // Only deep links carry these
+        configuration: input?.configuration || null,
+        viewpoint: input?.viewpoint || null
+    };
 }
 
 async function requestCollection(input, source = 'ui') {
     const parsed = parseCollectionRequest(input, source);
-    if (!VALID_COLLECTIONS.has(parsed.collection)) return;
+    if (!hasCollection(parsed.collection)) return;
+    track('collection_request', {
+        collection: parsed.collection,
+        source: parsed.source,
+        available: isProductAvailable(parsed.collection)
+    });
+    if (!isProductAvailable(parsed.collection)) {
+        uiController.showToast(t('error.productUnavailable', { name: localize(getCollection(parsed.collection).title) }));
+        return;
+    }
+    prioritizeProduct(parsed.collection);
 
     if (collectionRequestLock) {
         pendingCollectionRequest = parsed;
@@ -738,13 +1264,13 @@ async function requestCollection(input, source = 'ui') {
                 await new Promise(r => setTimeout(r, 1400));
             }
         }
-        await handleCollectionSelect(parsed.collection, { source: parsed.source, requestId });
+        await handleCollectionSelect(parsed.collection, { ...parsed, requestId });
     } finally {
         collectionRequestLock = false;
         if (pendingCollectionRequest) {
             const next = pendingCollectionRequest;
             pendingCollectionRequest = null;
-            requestCollection(next.collection, next.source);
+            requestCollection(next);
         }
     }
 }
@@ -754,6 +1280,7 @@ async function handleCollectionSelect(collection, options = {}) {
     const isActiveRequest = () => requestId === collectionRequestId;
 
     cancelActiveCinematic('switch');
+    trackOrbitEnd();
     if (cameraController) {
         if (typeof cameraController.cancelTransition === 'function') {
             cameraController.cancelTransition();
@@ -770,6 +1297,16 @@ async function handleCollectionSelect(collection, options = {}) {
 
     currentCollection = collection;
     setCurrentProduct(collection);
+    const wasLoaded = isProductLoaded(collection);
+    // A model still streaming in takes the requested finishes when it arrives
+    const modelReady = prioritizeProduct(collection).then((loaded) => {
+        if (!isActiveRequest()) return loaded;
+        Object.entries(options.configuration || {}).forEach(([zone, value]) => {
+            changeProductColor(value, zone);
+        });
+        syncDeepLink();
+        return loaded;
+    });
     uiController.hideCollectionButtons();
     uiController.hideInteractHint();
     uiController.hideProductPanel();
@@ -783,6 +1320,9 @@ async function handleCollectionSelect(collection, options = {}) {
     if (!isActiveRequest()) return;
 
     const walkPromise = walkToProduct(collection);
+    const info = getCollection(collection);
+    const productName = info ? localize(info.title) : collection;
+    uiController.announce(t('a11y.walking', { name: productName }));
 
     await new Promise(r => setTimeout(r, 500));
     if (!isActiveRequest()) return;
@@ -791,21 +1331,30 @@ async function handleCollectionSelect(collection, options = {}) {
     await walkPromise;
     if (!isActiveRequest()) return;
 
+    // ARIA waits by the silhouette; the real model may need a different standing spot
+    const loaded = await modelReady;
+    if (!isActiveRequest()) return;
+    if (!loaded) {
+        uiController.showToast(t('error.productUnavailable', { name: productName }));
+        cameraController.followARIA(false);
+        await handleBack();
+        return;
+    }
+    if (!wasLoaded) {
+        await walkToProduct(collection);
+        if (!isActiveRequest()) return;
+    }
+
     cameraController.followARIA(false);
     await cameraController.transitionTo('product_with_aria', 1.5, collection);
     if (!isActiveRequest()) return;
 
-    const productInfo = {
-        elegance: { name: "Divano Bonton 200", desc: "Bonton 200. Design morbido e comfort avvolgente." },
-        minimal: { name: "Divano Dolores 274X", desc: "Dolores 274X. Linee essenziali per spazi moderni." },
-        luxury: { name: "Divano Eclipse", desc: "Eclipse. Presenza scenica e stile iconico." }
-    };
-
-    const info = productInfo[collection];
     let cancelledByUser = false;
     if (info) {
-        uiController.updateProductInfo(info.name, info.desc);
-        uiController.showSubtitle(info.desc);
+        uiController.updateProductInfo(productName, localize(info.description));
+        uiController.renderConfigurator(getConfiguratorZones(collection));
+        // Replaced cue by cue when the narration has a subtitle file
+        uiController.showSubtitle(localize(info.description));
 
         const shouldMuteVoice = options.source === 'voice';
         if (shouldMuteVoice) {
@@ -817,6 +1366,8 @@ async function handleCollectionSelect(collection, options = {}) {
         showStopCinematic(true);
 
         const audioPromise = audioSystem ? audioSystem.playCollection(collection) : Promise.resolve(true);
+        playARIAGesture('point');
+        uiController.announce(t('a11y.narration', { name: productName }));
         const cinematicDuration = audioSystem?.getCollectionDuration(collection) || 12;
         const cinematicPromise = cameraController && typeof cameraController.playProductCinematic === 'function'
             ? cameraController.playProductCinematic(collection, { duration: Math.max(8, cinematicDuration) })
@@ -855,17 +1406,405 @@ async function handleCollectionSelect(collection, options = {}) {
         if (!isActiveRequest()) return;
     }
 
+    if (options.viewpoint && cameraController) {
+        await cameraController.transitionTo('custom', 1.6, clampToRoom(options.viewpoint.position.clone()), options.viewpoint.lookAt);
+        if (!isActiveRequest()) return;
+    }
+
     uiController.showProductPanel();
     uiController.showInteractHint();
     allowProductOrbit = true;
+    productViewStartedAt = performance.now();
+    track('collection_view', { collection, narrationStopped: cancelledByUser });
+    uiController.announce(t('a11y.productReady', { name: productName }));
+    uiController.focusProductPanel();
+}
+
+// Static markup is translated by i18n.js; this refreshes what main.js rendered
+function applyLanguage(language) {
+    if (audioSystem) audioSystem.setLanguage(language);
+    uiController.setActiveLanguage(language);
+    uiController.renderCollections(getCollections());
+    const info = getCollection(currentCollection);
+    if (info) {
+        uiController.updateProductInfo(localize(info.title), localize(info.description));
+        uiController.renderConfigurator(getConfiguratorZones(currentCollection));
+    }
+}
+
+function readDeepLink() {
+    const link = parseDeepLink();
+    if (!link) return null;
+    const collection = resolveCollectionId(link.collection);
+    if (!collection) {
+        console.warn(`Deep link: unknown collection "${link.collection}"`);
+        updateDeepLink(null);
+        return null;
+    }
+    return { ...link, collection };
+}
+
+function syncDeepLink() {
+    updateDeepLink(currentCollection ? {
+        collection: currentCollection,
+        configuration: getProductConfiguration(currentCollection)
+    } : null);
+}
+
+async function shareCurrentView() {
+    if (!currentCollection) return;
+    const url = getDeepLinkUrl({
+        collection: currentCollection,
+        configuration: getProductConfiguration(currentCollection),
+        viewpoint: cameraController ? cameraController.getViewpoint() : null
+    });
+    try {
+        await navigator.clipboard.writeText(url);
+        uiController.showToast(t('toast.linkCopied'));
+    } catch (err) {
+        // Clipboard needs a secure context: the address bar still holds the configuration
+        syncDeepLink();
+        uiController.showToast(t('toast.linkInAddressBar'));
+    }
+}
+
+function getConfiguratorZones(collection) {
+    const entry = getCollection(collection);
+    const configuration = getProductConfiguration(collection);
+    return getProductZones(collection).map(zone => ({
+        id: zone,
+        label: t(`zones.${zone}`),
+        finishes: entry.zones[zone],
+        active: configuration[zone] || null
+    }));
+}
+
+/**
+ * Lead server from the contact form's data-endpoint. The in-page mock is opt-in
+ * (data-endpoint="mock" or ?quote=mock); with neither, the quote button is
+ * disabled instead of pretending to send.
+ */
+function setupQuotePipeline() {
+    const endpoint = document.getElementById('contact-form')?.dataset.endpoint;
+    if (endpoint === 'mock' || new URLSearchParams(window.location.search).get('quote') === 'mock') {
+        setQuoteAdapter(createMockAdapter());
+    } else if (endpoint) {
+        setQuoteAdapter(createHttpAdapter(endpoint));
+    } else {
+        console.warn('Quote requests disabled: set data-endpoint on #contact-form');
+        const cta = document.getElementById('btn-cta');
+        if (cta) {
+            cta.disabled = true;
+            cta.setAttribute('data-i18n-title', 'quote.unavailable');
+            cta.title = t('quote.unavailable');
+        }
+    }
+    // Requests queued while offline go out on the next visit or reconnection
+    flushQuoteQueue();
+    window.addEventListener('online', () => flushQuoteQueue());
+}
+
+/** Applies a finish from the configurator or a spoken request; source goes to analytics. */
+function selectFinish(finish, zone, source) {
+    changeProductColor(finish, zone);
+    syncDeepLink();
+    track('finish_change', { collection: currentCollection, zone, finish, source });
+    const chosen = describeFinish(getCollection(currentCollection), zone, finish);
+    if (chosen) uiController.announce(t('a11y.finish', { zone: t(`zones.${zone}`), finish: chosen.name }));
+}
+
+// Spoken orbit commands: a larger step than the keys, glided rather than jumped
+const ORBIT_DIRECTIONS = {
+    left: { azimuth: -Math.PI / 4 },
+    right: { azimuth: Math.PI / 4 },
+    around: { azimuth: Math.PI },
+    up: { polar: -0.15 },
+    down: { polar: 0.15 },
+    in: { zoom: 0.75 },
+    out: { zoom: 1.33 }
+};
+
+function isOverlayOpen() {
+    return !document.getElementById('ui-overlay')?.classList.contains('hidden')
+        && !uiController.isContactModalOpen() && !uiController.isKioskPinOpen();
+}
+
+/** A sofa is presented, with its configurator on screen. */
+function isProductOpen() {
+    return Boolean(currentCollection) && isOverlayOpen()
+        && !document.getElementById('product-panel')?.classList.contains('hidden');
+}
+
+/**
+ * Maps a finish request (see aria:finishSelect in intents.js) onto the open
+ * sofa's palette and applies it.
+ * @returns {{ zone: string, finish: string }|null} what was applied
+ */
+function applyFinishRequest(request, source) {
+    if (!isProductOpen()) return null;
+    const choice = resolveFinish(getCollection(currentCollection), request, getProductZones(currentCollection));
+    if (!choice) return null;
+    uiController.setActiveFinish(choice.zone, choice.finish);
+    selectFinish(choice.finish, choice.zone, source);
+    return choice;
+}
+
+/**
+ * Commands from intents.js (spoken or typed), handled like the equivalent clicks
+ * and keys. Each one is ignored when its control is not on screen.
+ */
+function setupIntentHandlers() {
+    window.addEventListener('aria:finishSelect', (event) => {
+        applyFinishRequest(event.detail || {}, event.detail?.source || 'ui');
+    });
+
+    window.addEventListener('aria:back', () => {
+        if (isProductOpen() && !collectionRequestLock) handleBack();
+    });
+
+    window.addEventListener('aria:orbit', (event) => {
+        const step = ORBIT_DIRECTIONS[event.detail?.direction];
+        if (!step || !isProductOpen() || !canOrbitProduct()) return;
+        enterProductOrbit(event.detail?.source || 'ui');
+        cameraController.glideOrbit(step);
+    });
+
+    window.addEventListener('aria:stopCinematic', () => {
+        if (!isOverlayOpen()) return;
+        if (cinematicState && !cinematicState.cancelled) {
+            cancelActiveCinematic('user');
+        } else if (introState && !introState.cancelled) {
+            skipIntro();
+        }
+    });
+
+    window.addEventListener('aria:openQuote', () => {
+        if (isProductOpen()) openQuote();
+    });
+
+    // The visitor started talking over the narration (voice-assistant.js)
+    window.addEventListener('aria:bargeIn', (event) => {
+        if (!audioSystem?.isSpeaking() || !isOverlayOpen()) return;
+        if (cinematicState && !cinematicState.cancelled) {
+            track('barge_in', { collection: currentCollection, mode: event.detail?.mode ?? null });
+            cancelActiveCinematic('user');
+        } else if (introState && !introState.cancelled) {
+            track('barge_in', { collection: null, mode: event.detail?.mode ?? null });
+            skipIntro();
+        }
+    });
+}
+
+/**
+ * ARIA's conversational replies as subtitles, for a while after each one. The
+ * narration keeps the subtitle line while it plays; typed replies, which are not
+ * spoken, are read out to screen readers as well.
+ */
+function setupAssistantReplies() {
+    window.addEventListener('aria:assistantReply', (event) => {
+        const { text, mode } = event.detail || {};
+        if (!text || !uiController) return;
+        if (mode !== 'voice') uiController.announce(text);
+        if (audioSystem?.isSpeaking()) return;
+        uiController.showSubtitle(text);
+        clearTimeout(replySubtitleTimer);
+        replySubtitleTimer = setTimeout(() => {
+            if (!audioSystem?.isSpeaking()) uiController.hideSubtitle();
+        }, Math.min(12000, 3000 + text.length * 60));
+    });
+}
+
+/**
+ * Handlers of the agent's client tools (see commands.js). They check the same
+ * conditions as the on-screen controls and throw what the agent should hear.
+ */
+function setupSceneCommands() {
+    const requireProduct = () => {
+        if (!isProductOpen()) throw new Error('No sofa is on screen: show a collection first');
+    };
+
+    registerCommands({
+        showCollection: ({ collection }) => {
+            const id = resolveCollectionId(collection);
+            if (!id) throw new Error(`Unknown collection: ${collection}`);
+            if (!isProductAvailable(id)) throw new Error(`${getCollection(id).name} is not available right now`);
+            if (document.getElementById('ui-overlay')?.classList.contains('hidden')) {
+                throw new Error('The visitor has not started the experience yet');
+            }
+            // Already there, or on the way (the visitor's own words may have asked first)
+            if (id !== currentCollection) requestCollection({ collection: id, source: 'agent' });
+            return { collection: id, name: getCollection(id).name };
+        },
+
+        setFabric: ({ fabric, zone }) => {
+            requireProduct();
+            const intent = detectIntent(String(fabric || ''));
+            const request = intent?.type === 'finish' ? intent.detail : {};
+            // As the schema says: upholstery unless the agent, or the finish text ("gambe in noce"), names a part
+            const target = zone || request.zone || 'upholstery';
+            if (!getProductZones(currentCollection).includes(target)) {
+                throw new Error(`${getCollection(currentCollection).name} has no ${target} finishes`);
+            }
+            const choice = applyFinishRequest({ ...request, zone: target }, 'agent');
+            if (!choice) throw new Error(`"${fabric}" is not available for ${getCollection(currentCollection).name}`);
+            return { zone: choice.zone, finish: describeFinish(getCollection(currentCollection), choice.zone, choice.finish).name };
+        },
+
+        goBack: () => {
+            requireProduct();
+            if (!collectionRequestLock) handleBack();
+            return { screen: 'collections' };
+        },
+
+        openQuote: () => {
+            requireProduct();
+            if (!isQuoteConfigured()) throw new Error('Quote requests are not available in this showroom');
+            openQuote();
+            return { opened: true };
+        },
+
+        getCurrentState: () => getCurrentState()
+    });
+}
+
+/** What the visitor is looking at, for the agent (getCurrentState). */
+function getCurrentState() {
+    const entry = getCollection(currentCollection);
+    let screen = 'collections';
+    if (document.getElementById('ui-overlay')?.classList.contains('hidden')) {
+        screen = 'intro';
+    } else if (introState && !introState.cancelled) {
+        screen = 'introduction';
+    } else if (entry && uiController.isContactModalOpen()) {
+        screen = 'quote';
+    } else if (isProductOpen()) {
+        screen = 'product';
+    } else if (entry) {
+        screen = 'walking';
+    }
+
+    const configuration = entry ? getProductConfiguration(entry.id) : {};
+    return {
+        screen,
+        language: getLanguage(),
+        narrating: Boolean(cinematicState && !cinematicState.cancelled),
+        collection: entry ? { id: entry.id, name: entry.name, title: localize(entry.title) } : null,
+        finishes: entry
+            ? Object.fromEntries(getProductZones(entry.id).map(zone => [zone, describeFinish(entry, zone, configuration[zone])?.name ?? null]))
+            : null,
+        fabrics: entry ? entry.fabrics.map(finish => localize(finish.name)) : [],
+        collections: getCollections()
+            .filter(item => isProductAvailable(item.id))
+            .map(item => ({ id: item.id, name: item.name, title: localize(item.title) }))
+    };
+}
+
+function openQuote() {
+    if (!isQuoteConfigured()) {
+        uiController.showToast(t('quote.unavailable'));
+        return;
+    }
+    const entry = getCollection(currentCollection);
+    const fabric = entry ? describeFinish(entry, 'upholstery', getProductConfiguration(entry.id).upholstery) : null;
+    quoteContext = {
+        collection: entry ? entry.id : null,
+        // Taken now: the modal does not cover the canvas render
+        snapshot: captureSnapshot(),
+        submitted: false
+    };
+    track('quote_open', { collection: quoteContext.collection });
+    const summary = entry ? [entry.name, fabric?.name].filter(Boolean).join(' · ') : '';
+    uiController.showContactModal(summary);
+}
+
+async function handleQuoteSubmit(fields) {
+    const errors = validateQuote(fields);
+    if (Object.keys(errors).length > 0) {
+        track('quote_invalid', { collection: quoteContext?.collection ?? null, fields: Object.keys(errors).join(',') });
+        return { status: 'invalid', errors };
+    }
+
+    const entry = getCollection(quoteContext?.collection);
+    const configuration = entry ? getProductConfiguration(entry.id) : {};
+    const finishes = Object.fromEntries(Object.entries(configuration)
+        .map(([zone, value]) => [zone, describeFinish(entry, zone, value)]));
+
+    const collection = entry ? entry.id : null;
+    const transcript = fields.attachTranscript ? getTranscript() : [];
+    let result;
+    try {
+        result = await submitQuote({
+            contact: {
+                name: fields.name.trim(),
+                email: fields.email.trim(),
+                phone: String(fields.phone || '').trim(),
+                message: String(fields.message || '').trim()
+            },
+            collection: entry ? { id: entry.id, name: entry.name } : null,
+            fabric: finishes.upholstery || null,
+            configuration: finishes,
+            link: entry ? getDeepLinkUrl({ collection: entry.id, configuration }) : window.location.href,
+            snapshot: quoteContext?.snapshot || null,
+            transcript: transcript.length > 0 ? transcript : null
+        });
+    } catch (err) {
+        track('quote_submit', { collection, status: 'failed' });
+        throw err;
+    }
+    if (quoteContext) quoteContext.submitted = true;
+    track('quote_submit', { collection, status: result.status });
+    return result;
+}
+
+// Catalog finish for a configuration value; hex tints have no catalog entry
+function describeFinish(entry, zone, value) {
+    if (!value) return null;
+    const finish = entry?.zones[zone]?.find(item => item.id === value);
+    return finish
+        ? { id: finish.id, name: localize(finish.name), type: finish.type, color: finish.color }
+        : { id: null, name: value, type: null, color: value };
+}
+
+/** JPEG of the current view, at most maxWidth pixels wide. */
+function captureSnapshot(maxWidth = 960) {
+    if (!renderer || !composer) return null;
+    try {
+        // Without preserveDrawingBuffer the canvas is only readable right after a render
+        composer.render();
+        const source = renderer.domElement;
+        const scale = Math.min(1, maxWidth / source.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(source.width * scale);
+        canvas.height = Math.round(source.height * scale);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.82);
+    } catch (err) {
+        console.warn('Canvas snapshot failed:', err);
+        return null;
+    }
+}
+
+function trackOrbitEnd() {
+    if (orbitStartedAt === null) return;
+    track('orbit_end', { collection: currentCollection, duration: Math.round(performance.now() - orbitStartedAt) });
+    orbitStartedAt = null;
 }
 
 async function handleBack() {
+    trackOrbitEnd();
+    track('collection_back', {
+        collection: currentCollection,
+        viewed: productViewStartedAt === null ? null : Math.round(performance.now() - productViewStartedAt)
+    });
+    productViewStartedAt = null;
+    uiController.announce(t('a11y.back'));
     uiController.hideProductPanel();
     uiController.hideInteractHint();
     activateProductSpotlight(false);
     allowProductOrbit = false;
     clearCurrentProduct();
+    currentCollection = null;
+    syncDeepLink();
 
     cameraController.disableOrbitMode();
 
@@ -879,11 +1818,20 @@ async function handleBack() {
 
     await Promise.all([walkBackPromise, cameraPromise]);
 
-    uiController.showCollectionButtons();
+    showCollectionChoice();
 }
 
+setLanguage(detectLanguage(), { persist: false });
+setupAnalytics();
+watchMotionPreference();
+watchInstallPrompt();
 syncViewportUnits();
 setupOrientationGuard();
 setupFullscreenPrompt();
 setupFullscreenToggle();
-init().catch(console.error);
+setupMotionToggle();
+setupLoadErrorScreen();
+init().catch((err) => {
+    console.error(err);
+    showLoadError('failed');
+});
@@ -0,0 +1,69 @@
+/**
+ * Motion Preference
+ * Reduced-motion mode: follows prefers-reduced-motion until the visitor uses the
+ * toggle, whose choice is remembered. Camera, ARIA and lighting read it every frame.
+ */
+
+const STORAGE_KEY = 'ariaReducedMotion';
+
+let reducedMotion = false;
+let mediaQuery = null;
+
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+function readSavedChoice() {
+    const saved = getStorage()?.getItem(STORAGE_KEY);
+    if (saved === 'on') return true;
+    if (saved === 'off') return false;
+    return null;
+}
+
+/** Saved choice first, then the operating system setting. */
+export function detectReducedMotion() {
+    const saved = readSavedChoice();
+    if (saved !== null) return saved;
+    return Boolean(window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+}
+
+export function isReducedMotion() {
+    return reducedMotion;
+}
+
+/**
+ * Switches the mode and announces it with aria:motionChange.
+ * @param {{ persist?: boolean }} [options] - persist: false when following the system setting
+ */
+export function setReducedMotion(enabled, options = {}) {
+    reducedMotion = Boolean(enabled);
+    if (options.persist !== false) {
+        try {
+            getStorage()?.setItem(STORAGE_KEY, reducedMotion ? 'on' : 'off');
+        } catch (err) {
+            // Private mode: the choice lasts for this visit
+        }
+    }
+    document.documentElement.classList.toggle('reduced-motion', reducedMotion);
+    window.dispatchEvent(new CustomEvent('aria:motionChange', { detail: { reduced: reducedMotion } }));
+    return reducedMotion;
+}
+
+/** Applies the detected mode and keeps following the system setting until the visitor chooses. */
+export function watchMotionPreference() {
+    setReducedMotion(detectReducedMotion(), { persist: false });
+    if (mediaQuery || !window.matchMedia) return;
+    mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const onChange = () => {
+        if (readSavedChoice() === null) setReducedMotion(mediaQuery.matches, { persist: false });
+    };
+    if (typeof mediaQuery.addEventListener === 'function') {
+        mediaQuery.addEventListener('change', onChange);
+    } else if (typeof mediaQuery.addListener === 'function') {
+        mediaQuery.addListener(onChange);
+    }
+}
@@ -0,0 +1,254 @@
+/**
+ * Navigation
+ * Occupancy grid over the showroom floor, A* search and path smoothing so ARIA
+ * walks around products, the fireplace and the walls.
+ */
+
+import * as THREE from 'three';
+import { ROOM_WIDTH, ROOM_DEPTH, getShowroomObstacles } from './showroom.js';
+import { getProductBounds } from './product.js';
+import { getCollectionIds } from './catalog.js';
+
+const CELL_SIZE = 0.25;
+const AGENT_RADIUS = 0.45; // ARIA's shoulder width plus a little personal space
+const COLS = Math.ceil(ROOM_WIDTH / CELL_SIZE);
+const ROWS = Math.ceil(ROOM_DEPTH / CELL_SIZE);
+const DIAGONAL_COST = Math.SQRT2;
+
+function createGrid() {
+    const blocked = new Uint8Array(COLS * ROWS);
+
+    // Walls
+    const wallCells = Math.ceil(AGENT_RADIUS / CELL_SIZE);
+    for (let row = 0; row < ROWS; row++) {
+        for (let col = 0; col < COLS; col++) {
+            if (col < wallCells || row < wallCells || col >= COLS - wallCells || row >= ROWS - wallCells) {
+                blocked[row * COLS + col] = 1;
+            }
+        }
+    }
+
+    const boxes = getShowroomObstacles();
+    getCollectionIds().forEach((name) => {
+        const bounds = getProductBounds(name);
+        if (!bounds) return;
+        const half = bounds.size.clone().multiplyScalar(0.5);
+        boxes.push(new THREE.Box3(bounds.center.clone().sub(half), bounds.center.clone().add(half)));
+    });
+
+    boxes.forEach((box) => {
+        const minCol = Math.max(0, toCol(box.min.x - AGENT_RADIUS));
+        const maxCol = Math.min(COLS - 1, toCol(box.max.x + AGENT_RADIUS));
+        const minRow = Math.max(0, toRow(box.min.z - AGENT_RADIUS));
+        const maxRow = Math.min(ROWS - 1, toRow(box.max.z + AGENT_RADIUS));
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                blocked[row * COLS + col] = 1;
+            }
+        }
+    });
+
+    return blocked;
+}
+
+function toCol(x) {
+    return Math.floor((x + ROOM_WIDTH / 2) / CELL_SIZE);
+}
+
+function toRow(z) {
+    return Math.floor((z + ROOM_DEPTH / 2) / CELL_SIZE);
+}
+
+function cellCenter(index) {
+    const col = index % COLS;
+    const row = Math.floor(index / COLS);
+    return new THREE.Vector3(
+        (col + 0.5) * CELL_SIZE - ROOM_WIDTH / 2,
+        0,
+        (row + 0.5) * CELL_SIZE - ROOM_DEPTH / 2
+    );
+}
+
+function cellIndex(point) {
+    const col = THREE.MathUtils.clamp(toCol(point.x), 0, COLS - 1);
+    const row = THREE.MathUtils.clamp(toRow(point.z), 0, ROWS - 1);
+    return row * COLS + col;
+}
+
+function nearestFreeCell(grid, index) {
+    if (!grid[index]) return index;
+    const col = index % COLS;
+    const row = Math.floor(index / COLS);
+    for (let ring = 1; ring < Math.max(COLS, ROWS); ring++) {
+        let best = -1;
+        let bestDist = Infinity;
+        for (let dr = -ring; dr <= ring; dr++) {
+            for (let dc = -ring; dc <= ring; dc++) {
+                if (Math.max(Math.abs(dr), Math.abs(dc)) !== ring) continue;
+                const r = row + dr;
+                const c = col + dc;
+                if (r < 0 || c < 0 || r >= ROWS || c >= COLS) continue;
+                const candidate = r * COLS + c;
+                const dist = dr * dr + dc * dc;
+                if (!grid[candidate] && dist < bestDist) {
+                    best = candidate;
+                    bestDist = dist;
+                }
+            }
+        }
+        if (best >= 0) return best;
+    }
+    return -1;
+}
+
+function heuristic(a, b) {
+    const dx = Math.abs((a % COLS) - (b % COLS));
+    const dz = Math.abs(Math.floor(a / COLS) - Math.floor(b / COLS));
+    return Math.max(dx, dz) + (DIAGONAL_COST - 1) * Math.min(dx, dz);
+}
+
+// Minimal binary heap keyed by f-score
+function createOpenSet() {
+    const items = [];
+    const push = (node, score) => {
+        items.push({ node, score });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].score <= items[i].score) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].score < items[smallest].score) smallest = left;
+                if (right < items.length && items[right].score < items[smallest].score) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.node;
+    };
+    return { push, pop, get size() { return items.length; } };
+}
+
+function searchGrid(grid, start, goal) {
+    const gScore = new Float32Array(grid.length).fill(Infinity);
+    const cameFrom = new Int32Array(grid.length).fill(-1);
+    const closed = new Uint8Array(grid.length);
+    const open = createOpenSet();
+
+    gScore[start] = 0;
+    open.push(start, heuristic(start, goal));
+
+    while (open.size > 0) {
+        const current = open.pop();
+        if (current === goal) break;
+        if (closed[current]) continue;
+        closed[current] = 1;
+
+        const col = current % COLS;
+        const row = Math.floor(current / COLS);
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (!dr && !dc) continue;
+                const r = row + dr;
+                const c = col + dc;
+                if (r < 0 || c < 0 || r >= ROWS || c >= COLS) continue;
+                const next = r * COLS + c;
+                if (grid[next] || closed[next]) continue;
+                // No cutting corners past a blocked cell
+                if (dr && dc && (grid[row * COLS + c] || grid[r * COLS + col])) continue;
+
+                const tentative = gScore[current] + (dr && dc ? DIAGONAL_COST : 1);
+                if (tentative < gScore[next]) {
+                    gScore[next] = tentative;
+                    cameFrom[next] = current;
+                    open.push(next, tentative + heuristic(next, goal));
+                }
+            }
+        }
+    }
+
+    if (start !== goal && cameFrom[goal] < 0) return null;
+    const cells = [goal];
+    while (cells[0] !== start) {
+        cells.unshift(cameFrom[cells[0]]);
+    }
+    return cells;
+}
+
+function hasLineOfSight(grid, from, to) {
+    const distance = from.distanceTo(to);
+    const steps = Math.ceil(distance / (CELL_SIZE * 0.5));
+    const point = new THREE.Vector3();
+    for (let i = 1; i < steps; i++) {
+        point.lerpVectors(from, to, i / steps);
+        if (grid[cellIndex(point)]) return false;
+    }
+    return true;
+}
+
+// Drop every waypoint that can be skipped in a straight, unobstructed line
+function pullString(grid, points) {
+    if (points.length <= 2) return points;
+    const result = [points[0]];
+    let anchor = 0;
+    while (anchor < points.length - 1) {
+        let next = points.length - 1;
+        while (next > anchor + 1 && !hasLineOfSight(grid, points[anchor], points[next])) {
+            next -= 1;
+        }
+        result.push(points[next]);
+        anchor = next;
+    }
+    return result;
+}
+
+/**
+ * Finds a walkable path on the floor.
+ * @returns {THREE.Vector3[]} waypoints from start to end (y = 0), at least two points
+ */
+export function findPath(start, end) {
+    const from = new THREE.Vector3(start.x, 0, start.z);
+    const to = new THREE.Vector3(end.x, 0, end.z);
+    const grid = createGrid();
+
+    const startCell = nearestFreeCell(grid, cellIndex(from));
+    const goalCell = nearestFreeCell(grid, cellIndex(to));
+    if (startCell < 0 || goalCell < 0) return [from, to];
+    if (hasLineOfSight(grid, from, to) && !grid[cellIndex(from)] && !grid[cellIndex(to)]) {
+        return [from, to];
+    }
+
+    const cells = searchGrid(grid, startCell, goalCell);
+    if (!cells) {
+        console.warn('Navigation: no path found, walking straight');
+        return [from, to];
+    }
+
+    const points = cells.map(cellCenter);
+    points[0] = from;
+    points[points.length - 1] = to;
+    return pullString(grid, points);
+}
+
+/**
+ * Smooth walking curve through the waypoints; corners become gentle turns.
+ */
+export function createWalkCurve(waypoints) {
+    if (waypoints.length <= 2) {
+        return new THREE.LineCurve3(waypoints[0].clone(), waypoints[waypoints.length - 1].clone());
+    }
+    return new THREE.CatmullRomCurve3(waypoints.map(p => p.clone()), false, 'centripetal', 0.5);
+}
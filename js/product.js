@@ -6,35 +6,36 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { getCollections, getCollection } from './catalog.js';
+import { ZONES, detectZone, applyFinishToMaterial, loadConfiguration, saveConfiguration } from './configurator.js';
+import { computeShowroomLayout, getProductLayout } from './layout.js';
+import { loadGLTF, prioritizeAsset, PRIORITY } from './assets.js';
 
 let productGroups = {};
 let currentProduct = null;
+let currentProductName = null;
+const productConfigurations = {};
 let spotlight = null;
 const productBounds = {};
-
-const PRODUCT_POSITIONS = {
-    elegance: new THREE.Vector3(-6, 0, -5),
-    minimal: new THREE.Vector3(0, 0, -5),
-    luxury: new THREE.Vector3(6, 0, -5)
-};
-
-const FABRIC_COLORS = {
-    'cream': 0xf5f5dc,
-    'grey': 0x808080,
-    'navy': 0x000080,
-    'brown': 0x8b4513
-};
-
-const MODELS = {
-    elegance: './Assets/Modelli%203D/BONTON_200.glb',
-    minimal: './Assets/Modelli%203D/DOLORES_274X.glb',
-    luxury: './Assets/Modelli%203D/eclipse.glb'
-};
+const productPositions = {};
 
 const TARGET_MODEL_WIDTH = 2.0;
+// Layout slot of a sofa whose catalog entry declares no footprint: models are
+// normalised to TARGET_MODEL_WIDTH on their longer side, so it can be no wider than this
+const MAX_FOOTPRINT = Math.hypot(TARGET_MODEL_WIDTH, TARGET_MODEL_WIDTH);
+// Silhouette shown in each slot while the model streams in
+const PLACEHOLDER_SIZE = { width: TARGET_MODEL_WIDTH, depth: 0.95, seat: 0.45, back: 0.85 };
 
-export async function loadProduct(scene, loadingManager, ktx2Loader) {
-    const loader = new GLTFLoader(loadingManager);
+const productReady = {};
+let placeholderParts = null;
+
+/**
+ * Places a silhouette for every collection and streams the models in behind them
+ * (see assets.js); prioritizeProduct() moves one to the front of the queue.
+ * @returns {Promise<boolean[]>} settles when every model has loaded or failed
+ */
+export function loadProduct(scene, ktx2Loader) {
+    const loader = new GLTFLoader();
 
     if (ktx2Loader) {
         loader.setKTX2Loader(ktx2Loader);
@@ -46,65 +47,173 @@ export async function loadProduct(scene, loadingManager, ktx2Loader) {
         if (modelCache.has(path)) {
             return modelCache.get(path);
         }
-        const promise = new Promise((resolve, reject) => {
-            loader.load(
-                path,
-                (gltf) => {
-                    const baseModel = gltf.scene;
-                    setupProductMaterials(baseModel);
-                    normalizeProductModel(baseModel);
-                    resolve(baseModel);
-                },
-                undefined,
-                reject
-            );
+        const promise = loadGLTF(loader, path, { group: 'products' }).then((gltf) => {
+            const baseModel = gltf.scene;
+            setupProductMaterials(baseModel);
+            normalizeProductModel(baseModel);
+            return baseModel;
         });
         modelCache.set(path, promise);
         return promise;
     };
 
-    const collections = ['elegance', 'minimal', 'luxury'];
-    const baseModels = await Promise.all(collections.map(async (name) => ({
-        name,
-        baseModel: await loadModel(MODELS[name])
-    })));
+    // Positions are fixed before any model arrives, so nothing moves as they stream in
+    const collections = getCollections();
+    computeShowroomLayout(collections.map(entry => ({ id: entry.id, width: getLayoutFootprint(entry) })));
 
-    baseModels.forEach(({ name, baseModel }) => {
+    collections.forEach((entry) => {
+        const name = entry.id;
+        const placement = getProductLayout(name);
         const group = new THREE.Group();
-        const model = baseModel.clone(true);
-
-        model.traverse(child => {
-            if (child.isMesh) {
-                child.userData.isInteractable = true;
-            }
-        });
+        group.userData.zones = [];
+        group.userData.loaded = false;
 
-        group.add(model);
-        group.position.copy(PRODUCT_POSITIONS[name]);
-
-        if (name === 'minimal') group.rotation.y = Math.PI / 6;
-        if (name === 'luxury') group.rotation.y = -Math.PI / 6;
-
-        group.updateWorldMatrix(true, true);
-        const bounds = new THREE.Box3().setFromObject(group);
-        const size = new THREE.Vector3();
-        const center = new THREE.Vector3();
-        bounds.getSize(size);
-        bounds.getCenter(center);
-        const sphere = new THREE.Sphere();
-        bounds.getBoundingSphere(sphere);
-        productBounds[name] = {
-            size,
-            center,
-            radius: sphere.radius
-        };
-        group.userData.bounds = productBounds[name];
+        const placeholder = createPlaceholder();
+        // The group turns by facingOffset for the model; the silhouette faces the visitor
+        placeholder.rotation.y = -entry.placement.facingOffset;
+        group.add(placeholder);
 
+        productPositions[name] = placement.position;
+        group.position.copy(placement.position);
+        group.rotation.y = placement.rotation + entry.placement.facingOffset;
         scene.add(group);
         productGroups[name] = group;
+        productConfigurations[name] = {};
+        updateProductBounds(name);
+
+        productReady[name] = loadModel(entry.model)
+            .then((baseModel) => {
+                group.remove(placeholder);
+                checkFootprint(entry, baseModel);
+                attachModel(name, baseModel);
+                window.dispatchEvent(new CustomEvent('aria:productLoaded', { detail: { collection: name } }));
+                return true;
+            })
+            .catch((err) => {
+                // The silhouette stays in the slot; main.js disables the collection
+                console.error(`Error loading ${entry.model}`, err);
+                group.userData.failed = true;
+                window.dispatchEvent(new CustomEvent('aria:productFailed', { detail: { collection: name } }));
+                return false;
+            });
     });
 
     setupSpotlight(scene);
+    return Promise.all(collections.map(entry => productReady[entry.id]));
+}
+
+// Footprint diameter of the normalised model, as computeShowroomLayout() expects it
+function getLayoutFootprint(entry) {
+    const footprint = entry.placement.footprint;
+    if (!footprint) return MAX_FOOTPRINT;
+    const scale = TARGET_MODEL_WIDTH / Math.max(footprint.width, footprint.depth);
+    return Math.hypot(footprint.width * scale, footprint.depth * scale);
+}
+
+// The slot is fixed before the model arrives: flag a catalog footprint the model outgrows
+function checkFootprint(entry, baseModel) {
+    if (!entry.placement.footprint) return;
+    const size = new THREE.Box3().setFromObject(baseModel).getSize(new THREE.Vector3());
+    const measured = Math.hypot(size.x, size.z);
+    if (measured > getLayoutFootprint(entry) * 1.05) {
+        console.warn(`${entry.id}: the model is wider than its catalog footprint, it may crowd its neighbours`
+            + ` (measured proportions ${size.x.toFixed(2)} × ${size.z.toFixed(2)})`);
+    }
+}
+
+function attachModel(name, baseModel) {
+    const group = productGroups[name];
+    // Zones per collection: two collections may share a GLB with different maps
+    const materialZones = getCollection(name)?.materialZones || null;
+    const model = baseModel.clone(true);
+    const zones = new Set();
+
+    model.traverse(child => {
+        if (child.isMesh) {
+            child.userData.isInteractable = true;
+            // Own materials per product, even when two collections share a GLB
+            if (Array.isArray(child.material)) {
+                child.material = child.material.map(mat => mat.clone());
+            } else if (child.material) {
+                child.material = child.material.clone();
+            }
+            getMaterials(child).forEach(mat => {
+                mat.userData.zone = detectZone(mat, materialZones);
+                if (mat.userData.zone) zones.add(mat.userData.zone);
+            });
+        }
+    });
+    group.userData.zones = ZONES.filter(zone => zones.has(zone));
+    group.userData.loaded = true;
+
+    group.add(model);
+    updateProductBounds(name);
+
+    applyConfiguration(name, loadConfiguration(name), { persist: false });
+}
+
+function updateProductBounds(name) {
+    const group = productGroups[name];
+    group.updateWorldMatrix(true, true);
+    const bounds = new THREE.Box3().setFromObject(group);
+    const size = new THREE.Vector3();
+    const center = new THREE.Vector3();
+    bounds.getSize(size);
+    bounds.getCenter(center);
+    const sphere = new THREE.Sphere();
+    bounds.getBoundingSphere(sphere);
+    productBounds[name] = {
+        size,
+        center,
+        radius: sphere.radius
+    };
+    group.userData.bounds = productBounds[name];
+}
+
+// Seat and backrest blocks in a matte neutral, shared by every slot
+function createPlaceholder() {
+    if (!placeholderParts) {
+        const { width, depth, seat, back } = PLACEHOLDER_SIZE;
+        const backDepth = 0.22;
+        placeholderParts = {
+            material: new THREE.MeshStandardMaterial({ color: 0x3b3834, roughness: 1 }),
+            seat: new THREE.BoxGeometry(width, seat, depth).translate(0, seat / 2, 0),
+            back: new THREE.BoxGeometry(width, back, backDepth).translate(0, back / 2, (backDepth - depth) / 2)
+        };
+    }
+    const placeholder = new THREE.Group();
+    placeholder.add(
+        new THREE.Mesh(placeholderParts.seat, placeholderParts.material),
+        new THREE.Mesh(placeholderParts.back, placeholderParts.material)
+    );
+    placeholder.traverse((child) => {
+        if (child.isMesh) child.receiveShadow = true;
+    });
+    return placeholder;
+}
+
+/**
+ * Moves a collection's model to the front of the download queue.
+ * @returns {Promise<boolean>} see whenProductReady
+ */
+export function prioritizeProduct(name) {
+    const entry = getCollection(name);
+    if (entry) prioritizeAsset(entry.model, PRIORITY.requested);
+    return whenProductReady(name);
+}
+
+/** Resolves true once the model has replaced its silhouette, false if it failed to load. */
+export function whenProductReady(name) {
+    return productReady[name] || Promise.resolve(false);
+}
+
+export function isProductLoaded(name) {
+    return Boolean(productGroups[name]?.userData.loaded);
+}
+
+/** False once the model has failed to load: the collection cannot be shown. */
+export function isProductAvailable(name) {
+    return Boolean(productGroups[name]) && !productGroups[name].userData.failed;
 }
 
 function setupProductMaterials(model) {
@@ -205,61 +314,105 @@ export function activateProductSpotlight(active, collectionName) {
 
 export function setCurrentProduct(collectionName) {
     currentProduct = productGroups[collectionName] || null;
+    currentProductName = currentProduct ? collectionName : null;
 }
 
 export function clearCurrentProduct() {
     currentProduct = null;
+    currentProductName = null;
 }
 
-export function changeProductColor(colorValue) {
-    const hex = resolveColorHex(colorValue);
-    if (hex === null) return;
-
-    if (!currentProduct) return;
-    applyColor(currentProduct, hex);
+/**
+ * Applies a finish (catalog id, finish or colour name) or a plain hex tint to one
+ * zone of the current product and remembers it for the collection.
+ */
+export function changeProductColor(colorValue, zone = 'upholstery') {
+    if (!currentProduct) return false;
+    return setProductFinish(currentProductName, zone, colorValue);
 }
 
-function resolveColorHex(colorValue) {
-    if (!colorValue) return null;
-    if (typeof colorValue === 'number' && Number.isFinite(colorValue)) {
-        return colorValue;
-    }
-    if (typeof colorValue !== 'string') return null;
+export function setProductFinish(name, zone, value, options = {}) {
+    const group = productGroups[name];
+    if (!group || !group.userData.zones.includes(zone)) return false;
 
-    const key = colorValue.toLowerCase().trim();
-    if (FABRIC_COLORS[key]) return FABRIC_COLORS[key];
+    const finish = resolveFinish(name, zone, value);
+    const hex = finish ? null : resolveColorHex(value);
+    if (!finish && hex === null) return false;
 
-    if (key.startsWith('#')) {
-        const hexValue = key.slice(1);
-        if (hexValue.length === 3) {
-            const expanded = hexValue.split('').map(ch => ch + ch).join('');
-            return parseInt(expanded, 16);
-        }
-        if (hexValue.length === 6) {
-            return parseInt(hexValue, 16);
-        }
+    group.traverse((child) => {
+        if (!child.isMesh || !child.material) return;
+        const materials = getMaterials(child).map((mat) => {
+            if (mat.userData.zone !== zone) return mat;
+            if (finish) return applyFinishToMaterial(mat, finish);
+            mat.color.setHex(hex);
+            mat.userData.finish = null;
+            return mat;
+        });
+        child.material = Array.isArray(child.material) ? materials : materials[0];
+    });
+
+    productConfigurations[name][zone] = finish ? finish.id : `#${hex.toString(16).padStart(6, '0')}`;
+    if (options.persist !== false) {
+        saveConfiguration(name, productConfigurations[name]);
     }
+    return true;
+}
 
-    return null;
+export function applyConfiguration(name, configuration, options = {}) {
+    Object.entries(configuration || {}).forEach(([zone, value]) => {
+        setProductFinish(name, zone, value, options);
+    });
 }
 
-function applyColor(group, hex) {
-    group.traverse((child) => {
-        if (!child.isMesh || !child.material) return;
+/** Zones found on the model that the catalog offers finishes for. */
+export function getProductZones(name) {
+    const group = productGroups[name];
+    const zones = getCollection(name)?.zones || {};
+    return group ? group.userData.zones.filter(zone => zones[zone]) : [];
+}
 
-        const materials = Array.isArray(child.material) ? child.material : [child.material];
-        materials.forEach((mat) => {
-            if (!mat || !mat.color) return;
-            const name = (mat.name || '').toLowerCase();
-            if (name.includes('fabric') || !mat.map) {
-                mat.color.setHex(hex);
-            }
-        });
-    });
+export function getProductConfiguration(name) {
+    return { ...(productConfigurations[name] || {}) };
+}
+
+function getMaterials(mesh) {
+    return (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).filter(Boolean);
+}
+
+// Finish from the collection's palette for the zone, matched by id, name (in any
+// language) or a word of either
+function resolveFinish(name, zone, value) {
+    if (typeof value !== 'string') return null;
+    const key = value.toLowerCase().trim();
+    if (!key || key.startsWith('#')) return null;
+
+    const palette = getCollection(name)?.zones?.[zone] || [];
+    const namesOf = finish => (typeof finish.name === 'object' ? Object.values(finish.name) : [finish.name])
+        .map(text => text.toLowerCase());
+    return palette.find(finish => finish.id === key)
+        || palette.find(finish => namesOf(finish).includes(key))
+        || palette.find(finish => finish.id.split('-').includes(key))
+        || palette.find(finish => namesOf(finish).some(text => text.split(/\s+/).includes(key)))
+        || null;
+}
+
+function resolveColorHex(colorValue) {
+    if (!colorValue) return null;
+    if (typeof colorValue === 'number') {
+        return Number.isInteger(colorValue) && colorValue >= 0 && colorValue <= 0xffffff ? colorValue : null;
+    }
+    if (typeof colorValue !== 'string') return null;
+
+    const key = colorValue.toLowerCase().trim();
+    // Anything else (#zzzzzz from a link or the agent) falls back to the palette
+    if (!/^#[0-9a-f]{3}([0-9a-f]{3})?$/.test(key)) return null;
+    const hexValue = key.slice(1);
+    const expanded = hexValue.length === 3 ? hexValue.split('').map(ch => ch + ch).join('') : hexValue;
+    return parseInt(expanded, 16);
 }
 
 export function getProductPosition(name) {
-    return PRODUCT_POSITIONS[name] || new THREE.Vector3();
+    return productPositions[name] ? productPositions[name].clone() : new THREE.Vector3();
 }
 
 export function getProductBounds(name) {
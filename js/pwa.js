@@ -0,0 +1,74 @@
+/**
+ * Installable App
+ * Registers the service worker (sw.js) that keeps the showroom available offline
+ * and holds on to the browser's install prompt, so "add to Home Screen" can be
+ * offered where the fullscreen API is missing.
+ */
+
+const SERVICE_WORKER_URL = './sw.js';
+
+let installPrompt = null;
+let listening = false;
+
+/**
+ * @param {{ onOfflineReady?: () => void, onUpdateReady?: () => void }} [callbacks]
+ *   onOfflineReady: first installation finished caching;
+ *   onUpdateReady: a new version is cached and takes over on the next visit
+ */
+export async function registerServiceWorker(callbacks = {}) {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return null;
+    try {
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            // A controller already exists when this is an update rather than the first install
+            const isUpdate = Boolean(navigator.serviceWorker.controller);
+            worker.addEventListener('statechange', () => {
+                if (worker.state !== 'installed') return;
+                if (isUpdate) {
+                    callbacks.onUpdateReady?.();
+                } else {
+                    callbacks.onOfflineReady?.();
+                }
+            });
+        });
+        return registration;
+    } catch (err) {
+        console.warn('Service worker registration failed', err);
+        return null;
+    }
+}
+
+/** Keeps the deferred install prompt (Chromium only) until the visitor asks for it. */
+export function watchInstallPrompt() {
+    if (listening) return;
+    listening = true;
+    window.addEventListener('beforeinstallprompt', (event) => {
+        event.preventDefault();
+        installPrompt = event;
+    });
+    window.addEventListener('appinstalled', () => {
+        installPrompt = null;
+    });
+}
+
+export function canInstall() {
+    return Boolean(installPrompt);
+}
+
+/** @returns {Promise<boolean>} true when the visitor accepted */
+export async function promptInstall() {
+    const prompt = installPrompt;
+    if (!prompt) return false;
+    installPrompt = null;
+    prompt.prompt();
+    const choice = await prompt.userChoice;
+    return choice?.outcome === 'accepted';
+}
+
+/** Launched from the Home Screen: already full screen, no browser chrome to hide. */
+export function isStandalone() {
+    return Boolean(window.matchMedia?.('(display-mode: fullscreen), (display-mode: standalone)').matches
+        || window.navigator.standalone);
+}
@@ -0,0 +1,122 @@
+/**
+ * Rendering Quality
+ * Quality tiers (pixel ratio, shadows, bloom, fog) and a frame-time governor that
+ * steps down when frames run long and back up when there is headroom.
+ * QA can pin a tier with ?quality=high|medium|low|minimal (?quality=auto restores the governor).
+ */
+
+export const QUALITY_TIERS = [
+    { name: 'high', pixelRatio: 2, antialias: true, shadowMapSize: 1024, softShadows: true, fireShadows: true, bloom: true, fog: true },
+    { name: 'medium', pixelRatio: 1.5, antialias: true, shadowMapSize: 512, softShadows: true, fireShadows: false, bloom: true, fog: true },
+    { name: 'low', pixelRatio: 1, antialias: false, shadowMapSize: 256, softShadows: false, fireShadows: false, bloom: false, fog: true },
+    { name: 'minimal', pixelRatio: 0.75, antialias: false, shadowMapSize: 0, softShadows: false, fireShadows: false, bloom: false, fog: false }
+];
+
+const URL_PARAM = 'quality';
+const SAMPLE_WINDOW = 90; // frames per measurement, about 1.5 s at 60 fps
+const SLOW_FRAME_MS = 1000 / 45; // average above this: step down
+const FAST_FRAME_MS = 1000 / 55; // average below this: headroom to step up
+const MAX_FRAME_MS = 250; // longer gaps are tab switches or loading hitches, not load
+const CHANGE_COOLDOWN = 3000; // ms after a change before measuring again
+const UPGRADE_DELAY = 8000; // ms of sustained headroom before stepping up
+const MAX_UPGRADE_DELAY = 64000;
+
+let tierIndex = 0;
+let pinned = false;
+let samples = [];
+let lastChange = 0;
+let headroomSince = null;
+let upgradeDelay = UPGRADE_DELAY;
+let lastUpgrade = -Infinity;
+
+function findTier(name) {
+    return QUALITY_TIERS.findIndex(tier => tier.name === String(name || '').toLowerCase());
+}
+
+/** Starting tier from device hints: phones and small-memory devices start one step lower. */
+function guessTierIndex() {
+    const coarse = window.matchMedia?.('(pointer: coarse)').matches;
+    const memory = navigator.deviceMemory || 8;
+    const cores = navigator.hardwareConcurrency || 8;
+    if (memory <= 2 || cores <= 2) return findTier('low');
+    if (coarse || memory <= 4 || cores <= 4) return findTier('medium');
+    return 0;
+}
+
+/**
+ * Picks the starting tier. Call once before creating the renderer: antialiasing
+ * can only be chosen at context creation.
+ * @returns {object} the active tier
+ */
+export function initQuality(search = window.location.search) {
+    const requested = new URLSearchParams(search).get(URL_PARAM);
+    const pinnedIndex = findTier(requested);
+    if (requested && requested !== 'auto' && pinnedIndex < 0) {
+        console.warn(`Quality: unknown tier "${requested}", using the automatic governor`);
+    }
+    pinned = pinnedIndex >= 0;
+    tierIndex = pinned ? pinnedIndex : guessTierIndex();
+    samples = [];
+    headroomSince = null;
+    upgradeDelay = UPGRADE_DELAY;
+    lastUpgrade = -Infinity;
+    lastChange = performance.now();
+    return getQualityTier();
+}
+
+export function getQualityTier() {
+    return QUALITY_TIERS[tierIndex];
+}
+
+export function isQualityPinned() {
+    return pinned;
+}
+
+/** Switches tier and announces it with aria:qualityChange. */
+export function setQualityTier(name) {
+    const index = findTier(name);
+    if (index < 0 || index === tierIndex) return getQualityTier();
+    tierIndex = index;
+    samples = [];
+    headroomSince = null;
+    lastChange = performance.now();
+    window.dispatchEvent(new CustomEvent('aria:qualityChange', { detail: { tier: getQualityTier() } }));
+    return getQualityTier();
+}
+
+/**
+ * Feeds one frame time to the governor; called from the render loop.
+ * @param {number} frameMs - time since the previous frame, in milliseconds
+ */
+export function recordFrame(frameMs) {
+    if (pinned || document.hidden) return;
+    if (!Number.isFinite(frameMs) || frameMs <= 0 || frameMs > MAX_FRAME_MS) return;
+
+    const now = performance.now();
+    if (now - lastChange < CHANGE_COOLDOWN) return;
+
+    samples.push(frameMs);
+    if (samples.length < SAMPLE_WINDOW) return;
+    const average = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    samples = [];
+
+    if (average > SLOW_FRAME_MS && tierIndex < QUALITY_TIERS.length - 1) {
+        // Falling back soon after an upgrade: wait longer before the next try
+        if (now - lastUpgrade < upgradeDelay * 2) {
+            upgradeDelay = Math.min(upgradeDelay * 2, MAX_UPGRADE_DELAY);
+            lastUpgrade = -Infinity;
+        }
+        setQualityTier(QUALITY_TIERS[tierIndex + 1].name);
+        return;
+    }
+
+    if (average < FAST_FRAME_MS && tierIndex > 0) {
+        headroomSince = headroomSince ?? now;
+        if (now - headroomSince >= upgradeDelay) {
+            lastUpgrade = now;
+            setQualityTier(QUALITY_TIERS[tierIndex - 1].name);
+        }
+        return;
+    }
+    headroomSince = null;
+}
@@ -0,0 +1,209 @@
+/**
+ * Quote Requests
+ * Validates the contact form, sends leads through a pluggable adapter (HTTP POST
+ * or a local mock) and keeps failed submissions in a localStorage retry queue.
+ * There is no default adapter: until main.js sets one, quotes are unavailable
+ * rather than silently kept in the visitor's browser.
+ */
+
+import { t } from './i18n.js';
+
+const QUEUE_KEY = 'ariaQuoteQueue';
+const MOCK_INBOX_KEY = 'ariaQuoteMockInbox';
+const MAX_QUEUE = 10;
+const REQUEST_TIMEOUT = 15000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]{6,20}$/;
+
+let adapter = null;
+let flushing = false;
+
+/** Sends the payload with fetch; any non-2xx answer is an error. */
+export function createHttpAdapter(endpoint) {
+    return {
+        name: 'http',
+        async send(payload) {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+            try {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    const error = new Error(`Quote endpoint answered ${response.status}`);
+                    // Client errors will fail again: only server and network errors are retried
+                    error.retryable = response.status >= 500 || response.status === 429;
+                    throw error;
+                }
+                return response.json().catch(() => ({}));
+            } catch (err) {
+                if (err.retryable === undefined) err.retryable = true;
+                throw err;
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+    };
+}
+
+/**
+ * In-page stand-in for the lead server, for testing only (?quote=mock or
+ * data-endpoint="mock"): stores requests in localStorage (ariaQuoteMockInbox) and
+ * fails like a network error while the browser is offline. For the real HTTP path
+ * use tools/mock-quote-server.mjs.
+ */
+export function createMockAdapter({ delay = 700 } = {}) {
+    return {
+        name: 'mock',
+        send(payload) {
+            return new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    if (navigator.onLine === false) {
+                        const error = new Error('Mock quote server unreachable (offline)');
+                        error.retryable = true;
+                        reject(error);
+                        return;
+                    }
+                    const received = { ...payload, snapshot: payload.snapshot ? `${payload.snapshot.length} chars` : null };
+                    writeList(MOCK_INBOX_KEY, [...readList(MOCK_INBOX_KEY), received].slice(-MAX_QUEUE));
+                    console.info('Quote request received by mock adapter', received);
+                    resolve({ id: `mock-${Date.now()}` });
+                }, delay);
+            });
+        }
+    };
+}
+
+/**
+ * @param {{ name: string, send: (payload: object) => Promise<object> }} nextAdapter
+ */
+export function setQuoteAdapter(nextAdapter) {
+    adapter = nextAdapter;
+}
+
+/** False when no lead server is configured: the quote form cannot be used. */
+export function isQuoteConfigured() {
+    return Boolean(adapter);
+}
+
+/**
+ * @returns {Object<string, string>} field name → message, empty when valid
+ */
+export function validateQuote(fields) {
+    const errors = {};
+    const name = String(fields.name || '').trim();
+    const email = String(fields.email || '').trim();
+    const phone = String(fields.phone || '').trim();
+
+    if (name.length < 2) errors.name = t('quote.errors.name');
+    if (!email) {
+        errors.email = t('quote.errors.emailRequired');
+    } else if (!EMAIL_PATTERN.test(email)) {
+        errors.email = t('quote.errors.email');
+    }
+    if (phone && !PHONE_PATTERN.test(phone)) errors.phone = t('quote.errors.phone');
+    if (String(fields.message || '').length > 2000) errors.message = t('quote.errors.message');
+    return errors;
+}
+
+/**
+ * Sends a quote request. Network and server failures are queued and retried
+ * later, so the visitor's request is never lost.
+ * @returns {Promise<{ status: 'sent'|'queued' }>}
+ */
+export async function submitQuote(payload) {
+    const entry = { ...payload, id: payload.id || createId(), createdAt: payload.createdAt || new Date().toISOString() };
+    try {
+        await getAdapter().send(entry);
+        flushQuoteQueue();
+        return { status: 'sent' };
+    } catch (err) {
+        if (!err.retryable) throw err;
+        console.warn('Quote request queued for retry:', err.message);
+        enqueue(entry);
+        return { status: 'queued' };
+    }
+}
+
+/** Retries queued requests in order; stops at the first one that fails again. */
+export async function flushQuoteQueue() {
+    // Kept for when a lead server is configured again
+    if (flushing || !adapter) return;
+    flushing = true;
+    try {
+        let queue = readList(QUEUE_KEY);
+        while (queue.length > 0) {
+            const [next] = queue;
+            try {
+                await getAdapter().send(next);
+            } catch (err) {
+                if (err.retryable) break;
+                console.warn('Dropping quote request rejected by the server:', err.message);
+            }
+            queue = readList(QUEUE_KEY).filter(item => item.id !== next.id);
+            writeList(QUEUE_KEY, queue);
+        }
+    } finally {
+        flushing = false;
+    }
+}
+
+export function getQueuedQuoteCount() {
+    return readList(QUEUE_KEY).length;
+}
+
+function getAdapter() {
+    if (!adapter) {
+        const error = new Error('No quote endpoint configured');
+        error.retryable = false;
+        throw error;
+    }
+    return adapter;
+}
+
+function enqueue(entry) {
+    const queue = readList(QUEUE_KEY).filter(item => item.id !== entry.id);
+    queue.push(entry);
+    if (!writeList(QUEUE_KEY, queue.slice(-MAX_QUEUE))) {
+        // Snapshots are the bulk of the payload: keep the lead without the image
+        writeList(QUEUE_KEY, queue.slice(-MAX_QUEUE).map(item => ({ ...item, snapshot: null })));
+    }
+}
+
+function createId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function getStorage() {
+    try {
+        return window.localStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+function readList(key) {
+    const storage = getStorage();
+    if (!storage) return [];
+    try {
+        const parsed = JSON.parse(storage.getItem(key) || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+function writeList(key, list) {
+    const storage = getStorage();
+    if (!storage) return false;
+    try {
+        storage.setItem(key, JSON.stringify(list));
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
@@ -6,15 +6,30 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { isReducedMotion } from './motion.js';
+import { loadGLTF, PRIORITY } from './assets.js';
 
 let roomGroup;
-const ROOM_WIDTH = 20;
-const ROOM_DEPTH = 20;
-const ROOM_HEIGHT = 6;
+export const ROOM_WIDTH = 20;
+export const ROOM_DEPTH = 20;
+export const ROOM_HEIGHT = 6;
 let fireLight;
+let fireShadows = true;
 let floorMesh, backWall, leftWall, rightWall;
 
-export function createShowroom(scene, ktx2Loader, loadingManager) {
+// Estimated fireplace footprint until camino.glb reports its real bounds
+const fireplaceBounds = new THREE.Box3(
+    new THREE.Vector3(-1.6, 0, -ROOM_DEPTH / 2),
+    new THREE.Vector3(1.6, 2.5, -ROOM_DEPTH / 2 + 1.4)
+);
+
+const ESSENTIAL = { priority: PRIORITY.essential, group: 'essential' };
+
+/**
+ * Builds the room with placeholder materials straight away.
+ * @returns {Promise<void>} settles when the floor, walls and fireplace have loaded (or failed)
+ */
+export function createShowroom(scene, ktx2Loader) {
     roomGroup = new THREE.Group();
     scene.add(roomGroup);
 
@@ -24,28 +39,29 @@ export function createShowroom(scene, ktx2Loader, loadingManager) {
     const wallGeoBack = new THREE.PlaneGeometry(ROOM_WIDTH, ROOM_HEIGHT);
     const wallGeoSide = new THREE.PlaneGeometry(ROOM_DEPTH, ROOM_HEIGHT);
 
-    // Default Materials (Placeholder until GLB loads)
-    const defaultMat = new THREE.MeshStandardMaterial({ color: 0x808080 });
+    // Default materials: shown until the GLB materials load, and kept if they fail
+    const defaultFloorMat = new THREE.MeshStandardMaterial({ color: 0x8a6a4f, roughness: 0.55 });
+    const defaultWallMat = new THREE.MeshStandardMaterial({ color: 0xf4f1ec, roughness: 0.15, metalness: 0.1 });
 
     // FLOOR
-    floorMesh = new THREE.Mesh(floorGeo, defaultMat);
+    floorMesh = new THREE.Mesh(floorGeo, defaultFloorMat);
     floorMesh.rotation.x = -Math.PI / 2;
     floorMesh.receiveShadow = true;
     roomGroup.add(floorMesh);
 
     // WALLS
-    backWall = new THREE.Mesh(wallGeoBack, defaultMat);
+    backWall = new THREE.Mesh(wallGeoBack, defaultWallMat);
     backWall.position.set(0, ROOM_HEIGHT / 2, -ROOM_DEPTH / 2);
     backWall.receiveShadow = true;
     roomGroup.add(backWall);
 
-    leftWall = new THREE.Mesh(wallGeoSide, defaultMat);
+    leftWall = new THREE.Mesh(wallGeoSide, defaultWallMat);
     leftWall.rotation.y = Math.PI / 2;
     leftWall.position.set(-ROOM_WIDTH / 2, ROOM_HEIGHT / 2, 0);
     leftWall.receiveShadow = true;
     roomGroup.add(leftWall);
 
-    rightWall = new THREE.Mesh(wallGeoSide, defaultMat);
+    rightWall = new THREE.Mesh(wallGeoSide, defaultWallMat);
     rightWall.rotation.y = -Math.PI / 2;
     rightWall.position.set(ROOM_WIDTH / 2, ROOM_HEIGHT / 2, 0);
     rightWall.receiveShadow = true;
@@ -53,22 +69,25 @@ export function createShowroom(scene, ktx2Loader, loadingManager) {
 
     createCeiling();
 
-    // LOAD MATERIALS FROM GLBS
-    loadMaterials(ktx2Loader, loadingManager);
-
-    loadFireplace(scene, ktx2Loader, loadingManager);
     setupLights(scene);
+    setupFireLight(scene);
+
+    // LOAD MATERIALS FROM GLBS
+    return Promise.all([
+        ...loadMaterials(ktx2Loader),
+        loadFireplace(scene, ktx2Loader)
+    ]).then(() => undefined);
 }
 
-function loadMaterials(ktx2Loader, loadingManager) {
-    const loader = new GLTFLoader(loadingManager);
+function loadMaterials(ktx2Loader) {
+    const loader = new GLTFLoader();
     if (ktx2Loader) loader.setKTX2Loader(ktx2Loader);
     loader.setMeshoptDecoder(MeshoptDecoder);
 
     // ... (rest unchanged)
 
     // 1. FLOOR (parquet.glb)
-    loader.load('./Assets/parquet.glb', (gltf) => {
+    const floor = loadGLTF(loader, './Assets/parquet.glb', ESSENTIAL).then((gltf) => {
         gltf.scene.traverse((child) => {
             if (child.isMesh && child.material) {
                 // Apply this material to our floor
@@ -86,10 +105,10 @@ function loadMaterials(ktx2Loader, loadingManager) {
                 floorMesh.material = mat;
             }
         });
-    }, undefined, err => console.error("Error loading parquet.glb", err));
+    }).catch(err => console.error("Error loading parquet.glb", err));
 
     // 2. WALLS (wall-marble.glb)
-    loader.load('./Assets/OLD/wall-marble.glb', (gltf) => {
+    const walls = loadGLTF(loader, './Assets/OLD/wall-marble.glb', ESSENTIAL).then((gltf) => {
         gltf.scene.traverse((child) => {
             if (child.isMesh && child.material) {
                 const mat = child.material.clone();
@@ -113,15 +132,17 @@ function loadMaterials(ktx2Loader, loadingManager) {
                 rightWall.material = mat;
             }
         });
-    }, undefined, err => console.error("Error loading wall-marble.glb", err));
+    }).catch(err => console.error("Error loading wall-marble.glb", err));
+
+    return [floor, walls];
 }
 
-function loadFireplace(scene, ktx2Loader, loadingManager) {
-    const loader = new GLTFLoader(loadingManager);
+function loadFireplace(scene, ktx2Loader) {
+    const loader = new GLTFLoader();
     if (ktx2Loader) loader.setKTX2Loader(ktx2Loader);
     loader.setMeshoptDecoder(MeshoptDecoder);
 
-    loader.load('./Assets/camino.glb', (gltf) => {
+    return loadGLTF(loader, './Assets/camino.glb', ESSENTIAL).then((gltf) => {
         const model = gltf.scene;
         model.position.set(0, 0, -ROOM_DEPTH / 2 + 0.5);
         model.scale.set(1.5, 1.5, 1.5); // Much smaller fireplace
@@ -132,15 +153,19 @@ function loadFireplace(scene, ktx2Loader, loadingManager) {
             }
         });
         roomGroup.add(model);
+        model.updateWorldMatrix(true, true);
+        fireplaceBounds.setFromObject(model);
+    }).catch(err => console.error("Error loading camino.glb", err));
+}
 
-        // POWERFUL FIRE LIGHT
-        fireLight = new THREE.PointLight(0xffaa00, 40, 40); // Intensity 40!
-        fireLight.position.set(0, 1.5, -ROOM_DEPTH / 2 + 2.0);
-        fireLight.castShadow = true;
-        fireLight.shadow.bias = -0.001;
-        scene.add(fireLight);
-
-    }, undefined, err => console.error("Error loading camino.glb", err));
+// The room keeps its warm light even when the fireplace model is missing
+function setupFireLight(scene) {
+    // POWERFUL FIRE LIGHT
+    fireLight = new THREE.PointLight(0xffaa00, 40, 40); // Intensity 40!
+    fireLight.position.set(0, 1.5, -ROOM_DEPTH / 2 + 2.0);
+    fireLight.castShadow = fireShadows;
+    fireLight.shadow.bias = -0.001;
+    scene.add(fireLight);
 }
 
 function createCeiling() {
@@ -164,10 +189,23 @@ function setupLights(scene) {
     scene.add(dirLight);
 }
 
+/** Point-light shadows render six views per frame: the first thing lower quality tiers drop. */
+export function setFireShadows(enabled) {
+    fireShadows = enabled;
+    if (fireLight) fireLight.castShadow = enabled;
+}
+
+// Static room furniture that ARIA has to walk around
+export function getShowroomObstacles() {
+    return [fireplaceBounds.clone()];
+}
+
 export function updateShowroom(elapsed) {
     if (fireLight) {
-        // High intensity flicker
-        const flicker = Math.sin(elapsed * 10) * 2 + Math.random() * 2;
+        // High intensity flicker; a slow steady glow in reduced-motion mode
+        const flicker = isReducedMotion()
+            ? 1 + Math.sin(elapsed * 1.2) * 0.6
+            : Math.sin(elapsed * 10) * 2 + Math.random() * 2;
         fireLight.intensity = 40 + flicker;
     }
 }
@@ -0,0 +1,62 @@
+/**
+ * Subtitles
+ * Minimal WebVTT loader for the narration tracks. Cue files are declared next to
+ * their recordings (catalog "subtitles", AUDIO_SUBTITLES in audio.js); recordings
+ * without one are never looked up.
+ */
+
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{3})/;
+const cueCache = new Map();
+
+function parseTimestamp(value) {
+    const match = TIMESTAMP.exec(value);
+    if (!match) return NaN;
+    const [, hours = '0', minutes, seconds, millis] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+/**
+ * @returns {{ start: number, end: number, text: string }[]} cues sorted by start time
+ */
+export function parseVTT(source) {
+    const blocks = String(source || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+    const cues = [];
+
+    blocks.forEach((block) => {
+        const lines = block.split('\n').filter(line => line.trim() !== '');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex < 0 || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp(endText);
+        const text = lines.slice(timingIndex + 1).join('\n')
+            .replace(/<[^>]+>/g, '') // voice and styling tags: <v ARIA>, <i>...
+            .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+            .trim();
+        if (Number.isFinite(start) && Number.isFinite(end) && end > start && text) {
+            cues.push({ start, end, text });
+        }
+    });
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+/** Cues of a cue file, or null when it is missing or empty. Cached per URL. */
+export function loadSubtitles(url) {
+    if (!url) return Promise.resolve(null);
+    if (!cueCache.has(url)) {
+        cueCache.set(url, fetch(url)
+            .then(response => (response.ok ? response.text() : null))
+            .then(text => {
+                const cues = text ? parseVTT(text) : [];
+                return cues.length ? cues : null;
+            })
+            .catch(() => null));
+    }
+    return cueCache.get(url);
+}
+
+export function findCue(cues, time) {
+    return cues.find(cue => time >= cue.start && time < cue.end) || null;
+}
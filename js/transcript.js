@@ -0,0 +1,96 @@
+/**
+ * Conversation Transcript
+ * The visitor's and ARIA's turns, kept in sessionStorage for the visit. The voice
+ * assistant shows them in the transcript panel; the visitor can download them as
+ * text or attach them to a quote request. Changes are announced with
+ * aria:transcriptChange.
+ */
+
+import { getLanguage, t } from './i18n.js';
+
+const STORAGE_KEY = 'ariaTranscript';
+const MAX_TURNS = 200;
+
+let turns = null;
+
+function getStorage() {
+    try {
+        return window.sessionStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+function readTurns() {
+    if (turns) return turns;
+    try {
+        const saved = JSON.parse(getStorage()?.getItem(STORAGE_KEY) || '[]');
+        turns = Array.isArray(saved)
+            ? saved.filter(turn => (turn?.role === 'user' || turn?.role === 'agent') && typeof turn.text === 'string')
+            : [];
+    } catch (err) {
+        turns = [];
+    }
+    return turns;
+}
+
+function save() {
+    try {
+        getStorage()?.setItem(STORAGE_KEY, JSON.stringify(turns));
+    } catch (err) {
+        // Storage full or blocked: the panel still shows this page's turns
+    }
+    window.dispatchEvent(new CustomEvent('aria:transcriptChange', { detail: { turns: getTranscript() } }));
+}
+
+/**
+ * @param {'user'|'agent'} role
+ * @returns {{ role: string, text: string, time: string }|null} the stored turn
+ */
+export function addTurn(role, text) {
+    const clean = String(text || '').trim();
+    if (!clean) return null;
+    const turn = { role, text: clean, time: new Date().toISOString() };
+    readTurns().push(turn);
+    if (turns.length > MAX_TURNS) turns.splice(0, turns.length - MAX_TURNS);
+    save();
+    return { ...turn };
+}
+
+export function getTranscript() {
+    return readTurns().map(turn => ({ ...turn }));
+}
+
+export function clearTranscript() {
+    turns = [];
+    save();
+}
+
+/** Local time of a turn, e.g. "14:03". */
+export function formatTurnTime(turn) {
+    return new Date(turn.time).toLocaleTimeString(getLanguage(), { hour: '2-digit', minute: '2-digit' });
+}
+
+/** One line per turn: "[14:03] ARIA: ..." in the current language. */
+export function formatTranscript(list = getTranscript()) {
+    return list
+        .map(turn => `[${formatTurnTime(turn)}] ${t(turn.role === 'user' ? 'transcript.user' : 'transcript.agent')}: ${turn.text}`)
+        .join('\n');
+}
+
+/** Saves the transcript as a .txt file. */
+export function downloadTranscript() {
+    const list = getTranscript();
+    if (list.length === 0) return false;
+    const date = list[0].time.slice(0, 10);
+    const url = URL.createObjectURL(new Blob([`${t('transcript.title')} · ${date}\n\n${formatTranscript(list)}\n`], { type: 'text/plain;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `aria-${date}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked later: Safari starts the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+}
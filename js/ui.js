@@ -1,6 +1,17 @@
+import { getLanguage, localize, t } from './i18n.js';
+import { isReducedMotion } from './motion.js';
+import { CONSENT_CATEGORIES, getConsentChoices, isConsentDecided } from './consent.js';
+import { getTranscript } from './transcript.js';
+
 export class UIController {
     constructor(callbacks) {
         this.callbacks = callbacks;
+        this.toastTimeout = null;
+        this.modalReturnFocus = null;
+        this.consentReturnFocus = null;
+        this.kioskPin = '';
+        this.collectionProgress = new Map();
+        this.unavailableCollections = new Set();
         this.setupEventListeners();
     }
 
@@ -11,35 +22,259 @@ export class UIController {
 
         document.getElementById('btn-back').addEventListener('click', () => this.callbacks.onBack());
 
+        const btnShare = document.getElementById('btn-share');
+        if (btnShare) btnShare.addEventListener('click', () => this.callbacks.onShare());
+
         const modalClose = document.getElementById('modal-close');
         if (modalClose) modalClose.addEventListener('click', () => this.hideContactModal());
 
         const contactForm = document.getElementById('contact-form');
         if (contactForm) contactForm.addEventListener('submit', (e) => {
             e.preventDefault();
-            this.hideContactModal();
-            alert('Grazie! Ti contatteremo presto.');
-        });
-
-        // Color selector
-        document.querySelectorAll('.color-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const target = e.currentTarget;
-                const color = target.dataset.color;
-                document.querySelectorAll('.color-btn').forEach(node => node.classList.remove('active'));
-                target.classList.add('active');
-                this.callbacks.onColorChange(color);
+            this.submitQuoteForm(contactForm);
+        });
+
+        const quoteDone = document.getElementById('quote-done');
+        if (quoteDone) quoteDone.addEventListener('click', () => this.hideContactModal());
+
+        const modal = document.getElementById('contact-modal');
+        if (modal) modal.addEventListener('keydown', (e) => this.handleModalKeydown(e, modal, () => this.hideContactModal()));
+
+        // Consent panel
+        const consentForm = document.getElementById('consent-form');
+        if (consentForm) {
+            consentForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveConsent(Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, consentForm.elements[category]?.checked === true])));
+            });
+            consentForm.addEventListener('keydown', (e) => {
+                // Closing without a choice is only possible once one was saved
+                if (e.key === 'Escape' && isConsentDecided()) {
+                    e.preventDefault();
+                    this.hideConsentPanel();
+                }
+            });
+        }
+        document.getElementById('consent-accept')?.addEventListener('click', () => {
+            this.saveConsent(Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, true])));
+        });
+        document.getElementById('consent-reject')?.addEventListener('click', () => {
+            this.saveConsent(Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, false])));
+        });
+        document.getElementById('consent-open')?.addEventListener('click', () => {
+            if (this.isConsentPanelOpen()) this.hideConsentPanel();
+            else this.showConsentPanel();
+        });
+
+        // Kiosk exit PIN pad
+        const kioskPin = document.getElementById('kiosk-pin');
+        if (kioskPin) {
+            kioskPin.addEventListener('click', (e) => {
+                const key = e.target.closest('[data-key]');
+                if (key) this.pressKioskKey(key.dataset.key);
+            });
+            kioskPin.addEventListener('keydown', (e) => {
+                if (/^\d$/.test(e.key)) this.pressKioskKey(e.key);
+                else if (e.key === 'Backspace') this.pressKioskKey('delete');
+                else if (e.key === 'Enter' && !e.target.closest('button')) this.pressKioskKey('enter');
+                this.handleModalKeydown(e, kioskPin, () => this.hideKioskPin());
             });
+        }
+        const kioskCancel = document.getElementById('kiosk-pin-cancel');
+        if (kioskCancel) kioskCancel.addEventListener('click', () => this.hideKioskPin());
+
+        // Configurator (zones and finishes are rendered per collection)
+        const configurator = document.querySelector('.color-selector');
+        if (configurator) configurator.addEventListener('click', (e) => {
+            const target = e.target.closest('.color-btn');
+            const group = target?.closest('.finish-zone');
+            if (!target || !group) return;
+            this.setActiveFinish(group.dataset.zone, target.dataset.finish);
+            this.callbacks.onColorChange(target.dataset.finish, group.dataset.zone);
+        });
+
+        document.querySelectorAll('.language-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.callbacks.onLanguageChange(btn.dataset.lang));
         });
 
-        // Collection buttons
-        document.querySelectorAll('.collection-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.callbacks.onCollectionSelect(e.target.dataset.collection);
+        // Collection buttons and menu (rendered from the catalog)
+        ['.collection-buttons-row', '.collection-grid'].forEach(selector => {
+            const container = document.querySelector(selector);
+            if (!container) return;
+            container.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-collection]');
+                if (!target) return;
+                this.callbacks.onCollectionSelect(target.dataset.collection);
             });
         });
     }
 
+    renderCollections(collections) {
+        const row = document.querySelector('.collection-buttons-row');
+        if (row) {
+            row.replaceChildren(...collections.map((entry, index) => {
+                const btn = document.createElement('button');
+                btn.className = 'collection-btn';
+                btn.type = 'button';
+                btn.dataset.collection = entry.id;
+                // Number keys pick a collection (see setupKeyboardControls in main.js)
+                if (index < 9) btn.setAttribute('aria-keyshortcuts', String(index + 1));
+                const label = document.createElement('span');
+                label.className = 'btn-label';
+                label.textContent = entry.name;
+                btn.appendChild(label);
+                return btn;
+            }));
+            this.collectionProgress.forEach((fraction, id) => this.setCollectionProgress(id, fraction));
+            this.unavailableCollections.forEach(id => this.setCollectionAvailable(id, false));
+        }
+
+        const grid = document.querySelector('.collection-grid');
+        if (grid) {
+            grid.replaceChildren(...collections.map(entry => {
+                const item = document.createElement('button');
+                item.className = 'collection-item';
+                item.type = 'button';
+                item.dataset.collection = entry.id;
+                const name = document.createElement('span');
+                name.className = 'collection-name';
+                name.textContent = entry.name;
+                const desc = document.createElement('span');
+                desc.className = 'collection-desc';
+                desc.textContent = localize(entry.tagline);
+                item.append(name, desc);
+                return item;
+            }));
+        }
+    }
+
+    /**
+     * Download progress of a collection's model, drawn along the bottom of its button.
+     * @param {number|null} fraction - 0..1 while streaming, null once loaded
+     */
+    setCollectionProgress(id, fraction) {
+        if (fraction === null) {
+            this.collectionProgress.delete(id);
+        } else {
+            this.collectionProgress.set(id, fraction);
+        }
+        document.querySelectorAll(`.collection-btn[data-collection="${id}"]`).forEach((btn) => {
+            btn.classList.toggle('is-loading', fraction !== null);
+            btn.style.setProperty('--load-progress', fraction === null ? '' : String(Math.min(1, fraction)));
+        });
+    }
+
+    /** Disables the button of a collection whose model could not be loaded. */
+    setCollectionAvailable(id, available) {
+        if (available) {
+            this.unavailableCollections.delete(id);
+        } else {
+            this.unavailableCollections.add(id);
+            this.setCollectionProgress(id, null);
+        }
+        document.querySelectorAll(`.collection-btn[data-collection="${id}"]`).forEach((btn) => {
+            btn.disabled = !available;
+            const name = btn.querySelector('.btn-label')?.textContent || id;
+            if (available) {
+                btn.removeAttribute('title');
+            } else {
+                btn.title = t('error.productUnavailable', { name });
+            }
+        });
+    }
+
+    /**
+     * @param {{ id: string, label: string, finishes: object[], active: string|null }[]} zones
+     */
+    renderConfigurator(zones) {
+        const container = document.querySelector('.color-selector');
+        if (!container) return;
+        container.replaceChildren(...zones.map(zone => {
+            const group = document.createElement('div');
+            group.className = 'finish-zone';
+            group.dataset.zone = zone.id;
+            group.setAttribute('role', 'group');
+            group.setAttribute('aria-label', zone.label);
+
+            const label = document.createElement('p');
+            label.className = 'color-label';
+            label.textContent = zone.label;
+            const current = document.createElement('span');
+            current.className = 'finish-name';
+            label.appendChild(current);
+
+            const options = document.createElement('div');
+            options.className = 'color-options';
+            options.append(...zone.finishes.map(finish => {
+                const btn = document.createElement('button');
+                btn.className = `color-btn finish-${finish.type}`;
+                btn.type = 'button';
+                btn.dataset.finish = finish.id;
+                btn.title = localize(finish.name);
+                btn.setAttribute('aria-label', t('a11y.finish', { zone: zone.label, finish: btn.title }));
+                btn.setAttribute('aria-pressed', 'false');
+                btn.style.setProperty('--swatch', finish.color);
+                return btn;
+            }));
+
+            group.append(label, options);
+            return group;
+        }));
+        zones.forEach(zone => this.setActiveFinish(zone.id, zone.active));
+        container.classList.toggle('hidden', zones.length === 0);
+    }
+
+    setActiveFinish(zone, finishId) {
+        const group = document.querySelector(`.finish-zone[data-zone="${zone}"]`);
+        if (!group) return;
+        let activeName = '';
+        group.querySelectorAll('.color-btn').forEach(btn => {
+            const active = btn.dataset.finish === finishId;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+            if (active) activeName = btn.title;
+        });
+        const label = group.querySelector('.finish-name');
+        if (label) label.textContent = activeName;
+    }
+
+    setActiveLanguage(language = getLanguage()) {
+        document.querySelectorAll('.language-btn').forEach(btn => {
+            btn.setAttribute('aria-pressed', btn.dataset.lang === language ? 'true' : 'false');
+        });
+    }
+
+    /** Reads a message to screen-reader users through the polite live region. */
+    announce(message) {
+        const region = document.getElementById('sr-announcer');
+        if (!region || !message) return;
+        // Clearing first makes the same message be read again when repeated
+        region.textContent = '';
+        requestAnimationFrame(() => {
+            region.textContent = message;
+        });
+    }
+
+    /**
+     * Moves keyboard focus to a newly shown control when the focused element was
+     * hidden (or nothing was focused); focus the visitor placed elsewhere stays put.
+     */
+    moveFocus(element) {
+        if (!element || element.closest('.hidden')) return;
+        const active = document.activeElement;
+        const focusLost = !active || active === document.body || active.id === 'canvas-3d'
+            || Boolean(active.closest('.hidden, #intro-screen'));
+        if (focusLost) element.focus({ preventScroll: true });
+    }
+
+    focusCollectionButtons() {
+        this.moveFocus(document.querySelector('.collection-buttons-row .collection-btn'));
+    }
+
+    focusProductPanel() {
+        this.moveFocus(document.getElementById('product-name'));
+    }
+
     lockUI() {
         document.body.classList.add('ui-locked');
     }
@@ -80,7 +315,7 @@ export class UIController {
         container.classList.remove('hidden');
         if (typeof gsap !== 'undefined') {
             gsap.fromTo(container,
-                { y: 50, opacity: 0 },
+                { y: isReducedMotion() ? 0 : 50, opacity: 0 },
                 { y: 0, opacity: 1, duration: 1, ease: 'power2.out' }
             );
         }
@@ -90,7 +325,7 @@ export class UIController {
         const container = document.getElementById('collection-buttons');
         if (typeof gsap !== 'undefined') {
             gsap.to(container, {
-                y: 50, opacity: 0, duration: 0.5,
+                y: isReducedMotion() ? 0 : 50, opacity: 0, duration: 0.5,
                 onComplete: () => container.classList.add('hidden')
             });
         } else {
@@ -103,7 +338,7 @@ export class UIController {
         panel.classList.remove('hidden');
         if (typeof gsap !== 'undefined') {
             gsap.fromTo(panel,
-                { x: 100, opacity: 0 },
+                { x: isReducedMotion() ? 0 : 100, opacity: 0 },
                 { x: 0, opacity: 1, duration: 0.8, ease: 'power2.out' }
             );
         }
@@ -118,7 +353,7 @@ export class UIController {
         const panel = document.getElementById('product-panel');
         if (typeof gsap !== 'undefined') {
             gsap.to(panel, {
-                x: 100, opacity: 0, duration: 0.5,
+                x: isReducedMotion() ? 0 : 100, opacity: 0, duration: 0.5,
                 onComplete: () => panel.classList.add('hidden')
             });
         } else {
@@ -152,16 +387,249 @@ export class UIController {
         document.getElementById('subtitles').classList.add('hidden');
     }
 
-    showContactModal() {
+    showToast(message) {
+        const toast = document.getElementById('app-toast');
+        if (!toast) return;
+        toast.textContent = message;
+        toast.classList.remove('hidden');
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => toast.classList.add('hidden'), 2600);
+    }
+
+    /**
+     * @param {string} [summary] - what is being quoted, e.g. "Eclipse · Pelle Terracotta"
+     */
+    showContactModal(summary = '') {
         const modal = document.getElementById('contact-modal');
+        const summaryEl = document.getElementById('quote-summary');
+        if (summaryEl) {
+            summaryEl.textContent = summary;
+            summaryEl.classList.toggle('hidden', !summary);
+        }
+        // Offered only once the visitor has talked to ARIA
+        document.getElementById('quote-transcript-option')?.classList.toggle('hidden', getTranscript().length === 0);
+        this.resetQuoteForm();
+        if (!this.isContactModalOpen()) this.modalReturnFocus = document.activeElement;
         modal.classList.remove('hidden');
+        this.setBackgroundInert(true);
         gsap.fromTo(modal.children[0],
             { scale: 0.8, opacity: 0 },
             { scale: 1, opacity: 1, duration: 0.4, ease: 'back.out' }
         );
+        modal.querySelector('input, textarea')?.focus({ preventScroll: true });
     }
 
     hideContactModal() {
-        document.getElementById('contact-modal').classList.add('hidden');
+        const modal = document.getElementById('contact-modal');
+        if (modal.classList.contains('hidden')) return;
+        modal.classList.add('hidden');
+        this.setBackgroundInert(false);
+        const returnFocus = this.modalReturnFocus;
+        this.modalReturnFocus = null;
+        if (returnFocus?.isConnected) returnFocus.focus({ preventScroll: true });
+        this.callbacks.onContactModalClose?.();
+    }
+
+    isContactModalOpen() {
+        const modal = document.getElementById('contact-modal');
+        return Boolean(modal && !modal.classList.contains('hidden'));
+    }
+
+    /** Keeps Tab inside the open modal and closes it with Escape. */
+    handleModalKeydown(e, modal, close) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = [...modal.querySelectorAll('button, input, textarea, select, a[href], [tabindex]:not([tabindex="-1"])')]
+            .filter(el => !el.disabled && !el.closest('.hidden'));
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /** The canvas and the overlay stay out of reach of Tab and screen readers behind the modal. */
+    setBackgroundInert(inert) {
+        ['canvas-3d', 'ui-overlay'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.inert = inert;
+        });
+    }
+
+    /** Closes the quote modal and clears what the last visitor typed. */
+    discardContactForm() {
+        document.getElementById('contact-form')?.reset();
+        this.resetQuoteForm();
+        this.hideContactModal();
+    }
+
+    /**
+     * Opens the consent panel with the saved choices ticked.
+     * @param {{ focus?: string }} [options] - focus: category whose checkbox takes the focus
+     */
+    showConsentPanel(options = {}) {
+        const panel = document.getElementById('consent-panel');
+        const form = document.getElementById('consent-form');
+        if (!panel || !form) return;
+        const choices = getConsentChoices();
+        CONSENT_CATEGORIES.forEach(category => {
+            if (form.elements[category]) form.elements[category].checked = choices[category];
+        });
+        if (!this.isConsentPanelOpen()) this.consentReturnFocus = document.activeElement;
+        panel.classList.remove('hidden');
+        document.getElementById('consent-open')?.setAttribute('aria-expanded', 'true');
+        const target = (options.focus && form.elements[options.focus]) || form.querySelector('input, button');
+        target?.focus({ preventScroll: true });
+    }
+
+    hideConsentPanel() {
+        const panel = document.getElementById('consent-panel');
+        if (!panel || panel.classList.contains('hidden')) return;
+        panel.classList.add('hidden');
+        document.getElementById('consent-open')?.setAttribute('aria-expanded', 'false');
+        const returnFocus = this.consentReturnFocus;
+        this.consentReturnFocus = null;
+        if (returnFocus?.isConnected) returnFocus.focus({ preventScroll: true });
+    }
+
+    isConsentPanelOpen() {
+        const panel = document.getElementById('consent-panel');
+        return Boolean(panel && !panel.classList.contains('hidden'));
+    }
+
+    saveConsent(choices) {
+        this.callbacks.onConsentSave?.(choices);
+        this.hideConsentPanel();
+    }
+
+    showAttractHint() {
+        document.getElementById('attract-hint')?.classList.remove('hidden');
+    }
+
+    hideAttractHint() {
+        document.getElementById('attract-hint')?.classList.add('hidden');
+    }
+
+    showKioskPin() {
+        const pad = document.getElementById('kiosk-pin');
+        if (!pad || this.isKioskPinOpen()) return;
+        this.hideContactModal();
+        this.kioskPin = '';
+        this.updateKioskPin(false);
+        this.modalReturnFocus = document.activeElement;
+        pad.classList.remove('hidden');
+        this.setBackgroundInert(true);
+        pad.querySelector('[data-key]')?.focus({ preventScroll: true });
+    }
+
+    hideKioskPin() {
+        const pad = document.getElementById('kiosk-pin');
+        if (!pad || pad.classList.contains('hidden')) return;
+        pad.classList.add('hidden');
+        this.kioskPin = '';
+        this.setBackgroundInert(false);
+        const returnFocus = this.modalReturnFocus;
+        this.modalReturnFocus = null;
+        if (returnFocus?.isConnected) returnFocus.focus({ preventScroll: true });
+    }
+
+    isKioskPinOpen() {
+        const pad = document.getElementById('kiosk-pin');
+        return Boolean(pad && !pad.classList.contains('hidden'));
+    }
+
+    pressKioskKey(key) {
+        if (key === 'delete') {
+            this.kioskPin = this.kioskPin.slice(0, -1);
+        } else if (key === 'enter') {
+            if (this.callbacks.onKioskPinSubmit?.(this.kioskPin)) {
+                this.hideKioskPin();
+                return;
+            }
+            this.kioskPin = '';
+            this.updateKioskPin(true);
+            return;
+        } else if (this.kioskPin.length < 8) {
+            this.kioskPin += key;
+        }
+        this.updateKioskPin(false);
+    }
+
+    updateKioskPin(wrong) {
+        const display = document.getElementById('kiosk-pin-display');
+        if (display) display.textContent = '•'.repeat(this.kioskPin.length);
+        document.getElementById('kiosk-pin-error')?.classList.toggle('hidden', !wrong);
+    }
+
+    async submitQuoteForm(form) {
+        const submit = form.querySelector('[type="submit"]');
+        const fields = Object.fromEntries(new FormData(form));
+        this.setQuoteError('');
+        if (submit) submit.disabled = true;
+
+        try {
+            const result = await this.callbacks.onQuoteSubmit(fields);
+            if (result.status === 'invalid') {
+                this.showQuoteFieldErrors(form, result.errors);
+                return;
+            }
+            form.reset();
+            this.showQuoteResult(t(result.status === 'queued' ? 'quote.queued' : 'quote.sent'));
+        } catch (err) {
+            console.error('Quote request failed:', err);
+            this.setQuoteError(t('quote.failed'));
+        } finally {
+            if (submit) submit.disabled = false;
+        }
+    }
+
+    showQuoteFieldErrors(form, errors) {
+        let firstInvalid = null;
+        form.querySelectorAll('[name]').forEach(field => {
+            const message = errors[field.name] || '';
+            field.setAttribute('aria-invalid', message ? 'true' : 'false');
+            const errorEl = form.querySelector(`[data-error-for="${field.name}"]`);
+            if (errorEl) errorEl.textContent = message;
+            if (message && !firstInvalid) firstInvalid = field;
+        });
+        if (firstInvalid) firstInvalid.focus();
+    }
+
+    setQuoteError(message) {
+        const errorEl = document.getElementById('quote-error');
+        if (!errorEl) return;
+        errorEl.textContent = message;
+        errorEl.classList.toggle('hidden', !message);
+    }
+
+    showQuoteResult(message) {
+        const form = document.getElementById('contact-form');
+        const result = document.getElementById('quote-result');
+        const text = document.getElementById('quote-result-text');
+        if (text) text.textContent = message;
+        if (form) form.classList.add('hidden');
+        if (result) result.classList.remove('hidden');
+        document.getElementById('quote-done')?.focus({ preventScroll: true });
+    }
+
+    resetQuoteForm() {
+        const form = document.getElementById('contact-form');
+        const result = document.getElementById('quote-result');
+        if (form) {
+            form.classList.remove('hidden');
+            this.showQuoteFieldErrors(form, {});
+        }
+        if (result) result.classList.add('hidden');
+        this.setQuoteError('');
     }
 }
@@ -1,204 +1,401 @@
+import { t } from "./i18n.js";
+import { detectIntent, dispatchIntent } from "./intents.js";
+import { hasConsent } from "./consent.js";
+import { createVoiceProvider } from "./voice-providers.js";
+import { getClientTools } from "./commands.js";
+import { addTurn, downloadTranscript, formatTurnTime, getTranscript } from "./transcript.js";
+import {
+    getInputLevel, getOutputLevel, getOutputWaveform, isOutputActive,
+    registerOutputSource, setInputEnabled, startInputMeter, stopInputMeter
+} from "./voice-meter.js";
+
 const voiceBar = document.getElementById("voice-bar");
 const toggleButton = document.getElementById("voice-toggle");
 const statusLabel = document.getElementById("voice-status");
+const talkButton = document.getElementById("talk-button");
+const levelMeter = document.getElementById("voice-level");
+const waveCanvas = document.getElementById("voice-wave");
+const chatToggle = document.getElementById("chat-toggle");
+const chatForm = document.getElementById("chat-form");
+const chatInput = document.getElementById("chat-input");
+const transcriptToggle = document.getElementById("transcript-toggle");
+const transcriptPanel = document.getElementById("transcript-panel");
+const transcriptList = document.getElementById("transcript-list");
+const transcriptEmpty = document.getElementById("transcript-empty");
+const transcriptExport = document.getElementById("transcript-export");
+const transcriptClose = document.getElementById("transcript-close");
 
-if (voiceBar && toggleButton) {
-    let conversation = null;
-    let connecting = false;
-    let Conversation = null;
-    let clientPromise = null;
-    let outputVolume = 1;
-
-    const CLIENT_URLS = [
-        "https://esm.sh/@elevenlabs/client@0.12.2?bundle",
-        "https://cdn.skypack.dev/@elevenlabs/client@0.12.2"
-    ];
-
-    const COLLECTION_ALIASES = {
-        elegance: ["elegance", "eleganza", "elegante", "elegant", "bonton", "bonton 200"],
-        minimal: ["minimal", "minimale", "dolores", "dolores 274x"],
-        luxury: ["luxury", "lusso", "lussuoso", "lussuosa", "eclipse"]
-    };
-
-    const COMMAND_TRIGGERS = [
-        "collezione",
-        "collection",
-        "mostra",
-        "show",
-        "vedi",
-        "vedere",
-        "apri",
-        "vai",
-        "visita",
-        "visit",
-        "portami",
-        "fammi"
-    ];
-
-    let lastCommandAt = 0;
-    let lastCommandCollection = null;
+// Barge-in: the visitor's voice this loud (voice-meter.js scale), for this long,
+// stops the narration. The narration leaking from the speakers into the
+// microphone raises the bar by its own level times ECHO_RATIO.
+const BARGE_IN_LEVEL = 0.12;
+const BARGE_IN_MS = 250;
+const ECHO_RATIO = 0.6;
 
-    const normalizeText = (text) => {
-        let normalized = String(text || "").toLowerCase();
-        if (normalized.normalize) {
-            normalized = normalized.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+// Backend from <body data-voice-provider>: "elevenlabs" (data-voice-agent), "local",
+// or "websocket" (data-voice-endpoint). ?voice= overrides the type for testing, and
+// ?voiceEndpoint= may point at a mock on this machine only. data-voice-talk (or
+// ?talk=) is "open" or "push" for push-to-talk.
+const readVoiceConfig = () => {
+    const params = new URLSearchParams(window.location.search);
+    const { voiceProvider, voiceAgent, voiceEndpoint, voiceTalk } = document.body.dataset;
+    let endpoint = voiceEndpoint;
+    const testEndpoint = params.get("voiceEndpoint");
+    if (testEndpoint) {
+        try {
+            if (["localhost", "127.0.0.1"].includes(new URL(testEndpoint).hostname)) endpoint = testEndpoint;
+        } catch {
+            // not a URL: keep the configured endpoint
         }
-        return normalized
-            .replace(/[^a-z0-9\s]/g, " ")
-            .replace(/\s+/g, " ")
-            .trim();
+    }
+    return {
+        type: params.get("voice") || voiceProvider,
+        agentId: voiceAgent,
+        endpoint,
+        talk: params.get("talk") || voiceTalk || "open"
     };
+};
 
-    const detectCollection = (text) => {
-        const normalized = normalizeText(text);
-        if (!normalized) return null;
+const config = readVoiceConfig();
+const provider = createVoiceProvider(config);
 
-        const hasCommand = COMMAND_TRIGGERS.some((word) => normalized.includes(word));
-        const wordCount = normalized.split(" ").length;
+if (voiceBar && toggleButton) {
+    let connected = false;
+    let connecting = false;
+    // "voice" or "text" (typed, no microphone) while a session is open
+    let sessionMode = null;
+    // A typed session failed to open: answer locally until something changes
+    let textUnavailable = false;
+    let outputVolume = 1;
+    // In push-to-talk the microphone is open only while Space or the talk button is held
+    const pushToTalk = config.talk === "push";
+    let talking = false;
+    let meterFrame = null;
+    // When the visitor's voice rose above the barge-in level, and whether it already cut in
+    let voiceSince = 0;
+    let bargedIn = false;
+    const waveData = new Float32Array(256);
+    const waveContext = waveCanvas?.getContext("2d") || null;
+    let waveColor = "";
 
-        for (const [collection, aliases] of Object.entries(COLLECTION_ALIASES)) {
-            if (aliases.some((alias) => normalized.includes(alias))) {
-                if (hasCommand || wordCount <= 3) {
-                    return collection;
-                }
-            }
-        }
+    // The same command heard twice in a row (a repeated transcript) runs once
+    let lastCommand = null;
+    let lastCommandAt = 0;
 
-        return null;
-    };
+    // Without a usable voice backend the bar keeps the keyboard only
+    if (!provider?.supported) toggleButton.classList.add("hidden");
 
-    const dispatchCollection = (collection) => {
-        if (!collection) return;
+    const runCommand = (text, source = "voice") => {
+        const intent = detectIntent(text);
+        if (!intent) return null;
+        const key = JSON.stringify(intent);
         const now = Date.now();
-        if (collection === lastCommandCollection && now - lastCommandAt < 2500) return;
-        lastCommandCollection = collection;
+        if (key === lastCommand && now - lastCommandAt < 2500) return intent;
+        lastCommand = key;
         lastCommandAt = now;
-        window.dispatchEvent(new CustomEvent("aria:collectionSelect", {
-            detail: { collection, source: "voice" }
+        dispatchIntent(intent, source);
+        return intent;
+    };
+
+    // ARIA's replies go to the transcript and, as subtitles, to the scene (main.js)
+    const showReply = (text, mode) => {
+        if (!addTurn("agent", text)) return;
+        window.dispatchEvent(new CustomEvent("aria:assistantReply", {
+            detail: { text, mode }
         }));
     };
 
     const applyVolume = () => {
-        if (conversation && typeof conversation.setVolume === "function") {
-            conversation.setVolume({ volume: outputVolume });
-        }
+        if (connected) provider.setVolume(outputVolume);
     };
 
     const setState = (state) => {
         voiceBar.dataset.state = state;
+        talkButton?.classList.toggle("hidden", !pushToTalk || !connected || sessionMode !== "voice");
+        if (!talking) talkButton?.setAttribute("aria-pressed", "false");
         if (statusLabel) {
-            if (state === "offline") {
-                statusLabel.textContent = "";
-            } else if (state === "connecting") {
-                statusLabel.textContent = "connecting";
-            } else if (state === "error") {
-                statusLabel.textContent = "error";
-            } else {
-                statusLabel.textContent = state;
-            }
+            statusLabel.textContent = state === "offline" ? "" : t(`voice.${state}`);
         }
         toggleButton.disabled = state === "connecting";
-        toggleButton.setAttribute("aria-pressed", state === "listening" || state === "speaking" ? "true" : "false");
+        toggleButton.setAttribute("aria-pressed", ["ready", "listening", "speaking"].includes(state) ? "true" : "false");
     };
 
-    async function loadClient() {
-        if (Conversation) return Conversation;
-        if (!clientPromise) {
-            clientPromise = (async () => {
-                let lastError = null;
-                for (const url of CLIENT_URLS) {
-                    try {
-                        const mod = await import(url);
-                        if (mod && mod.Conversation) {
-                            Conversation = mod.Conversation;
-                            return Conversation;
-                        }
-                    } catch (error) {
-                        lastError = error;
-                    }
-                }
-                throw lastError || new Error("Unable to load ElevenLabs client");
-            })()
-                .catch((error) => {
-                    clientPromise = null;
-                    throw error;
-                });
+    async function startConversation(mode = "voice") {
+        if (connected || connecting) return connected;
+        // What the active provider needs: local speech asks for less than ElevenLabs
+        const missing = missingConsent();
+        if (missing) {
+            window.dispatchEvent(new CustomEvent("aria:consentRequest", {
+                detail: { category: missing }
+            }));
+            return false;
         }
-        return clientPromise;
-    }
-
-    async function tryStart(transport) {
         connecting = true;
         setState("connecting");
-        const Client = await loadClient();
-        if (transport === "webrtc") {
-            await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
-        }
-        return Client.startSession({
-            agentId: "agent_6201kdg19b9beae89z3ywcp3r9p8",
-            connectionType: transport,
-            onConnect: () => {
-                connecting = false;
-                setState("listening");
-                applyVolume();
-            },
-            onDisconnect: () => {
-                conversation = null;
-                connecting = false;
+        try {
+            await provider.connect({
+                tools: getClientTools(),
+                onUserTranscript: (text) => {
+                    addTurn("user", text);
+                    runCommand(text);
+                },
+                onAgentMessage: (text) => showReply(text, mode),
+                onAgentSpeaking: (speaking) => {
+                    if (connected && sessionMode === "voice") setState(speaking ? "speaking" : idleState());
+                },
+                onDisconnect: () => {
+                    connected = false;
+                    connecting = false;
+                    sessionMode = null;
+                    talking = false;
+                    stopMeters();
+                    setState("offline");
+                },
+                onError: (error) => {
+                    console.error(`Voice assistant (${provider.name}) error:`, error);
+                    setState("error");
+                }
+            }, { textOnly: mode === "text" });
+            connected = true;
+            sessionMode = mode;
+            if (mode === "voice" && pushToTalk) provider.setMicrophoneOpen(false);
+            setState(mode === "text" ? "chatting" : idleState());
+            applyVolume();
+            if (mode === "voice") startMeters();
+        } catch (error) {
+            if (mode === "text") {
+                console.warn("Typed conversation unavailable, answering locally:", error);
+                textUnavailable = true;
                 setState("offline");
-            },
-            onModeChange: (mode) => {
-                const state = mode.mode === "speaking" ? "speaking" : "listening";
-                setState(state);
-            },
-            onMessage: (message) => {
-                if (!message || typeof message.message !== "string") return;
-                if (message.source !== "user" && message.role !== "user") return;
-                const collection = detectCollection(message.message);
-                if (collection) dispatchCollection(collection);
-            },
-            onError: (err) => {
-                console.error("ElevenLabs error:", err);
+            } else if (error?.code === "microphone") {
+                // No microphone, or refused: the visitor can still type
+                console.warn("Microphone unavailable:", error);
+                setState("nomic");
+                setChatOpen(true);
+            } else {
+                console.error("Unable to start conversation:", error);
                 setState("error");
             }
-        });
-    }
-
-    async function startConversation() {
-        if (conversation || connecting) return;
-        try {
-            try {
-                conversation = await tryStart("webrtc");
-            } catch (error) {
-                console.warn("WebRTC failed, fallback websocket:", error);
-                conversation = await tryStart("websocket");
-            }
-        } catch (error) {
-            console.error("Unable to start conversation:", error);
-            setState("error");
+        } finally {
+            connecting = false;
         }
+        // Consent withdrawn while connecting
+        if (connected && !canUseVoice()) stopConversation();
+        return connected;
     }
 
     async function stopConversation() {
-        if (!conversation) return;
+        if (!connected) return;
+        connected = false;
+        sessionMode = null;
+        talking = false;
+        stopMeters();
         try {
-            await conversation.endSession();
+            await provider.disconnect();
         } catch {
             // ignore
         }
-        conversation = null;
-        connecting = false;
         setState("offline");
     }
 
-    toggleButton.addEventListener("click", () => {
-        if (conversation) {
+    const idleState = () => (pushToTalk && !talking ? "ready" : "listening");
+
+    const bargeIn = () => {
+        window.dispatchEvent(new CustomEvent("aria:bargeIn", {
+            detail: { mode: pushToTalk ? "push" : "open" }
+        }));
+    };
+
+    // Push-to-talk: pressing also cuts into the narration and ARIA's reply
+    const setTalking = (open) => {
+        if (!pushToTalk || talking === open || (open && (!connected || sessionMode !== "voice"))) return;
+        talking = open;
+        talkButton?.setAttribute("aria-pressed", open ? "true" : "false");
+        if (!connected) return;
+        provider.setMicrophoneOpen(open);
+        setInputEnabled(open);
+        if (open) bargeIn();
+        if (open || voiceBar.dataset.state !== "speaking") setState(idleState());
+    };
+
+    // Open mode: sustained speech over the narration stops it
+    const detectBargeIn = (level, now) => {
+        if (pushToTalk || !isOutputActive()) {
+            voiceSince = 0;
+            bargedIn = false;
+            return;
+        }
+        if (bargedIn || level < BARGE_IN_LEVEL + (getOutputLevel() ?? 0) * ECHO_RATIO) {
+            voiceSince = 0;
+            return;
+        }
+        if (!voiceSince) voiceSince = now;
+        if (now - voiceSince < BARGE_IN_MS) return;
+        bargedIn = true;
+        bargeIn();
+    };
+
+    // ARIA's voice: the measured samples when a source has them, otherwise a wave
+    // as loud as her level, flat while she is silent
+    const drawWave = (now) => {
+        if (!waveContext) return;
+        const { width, height } = waveCanvas;
+        const hasSamples = getOutputWaveform(waveData);
+        const level = hasSamples ? 0 : (getOutputLevel() ?? 0);
+        waveContext.clearRect(0, 0, width, height);
+        waveContext.beginPath();
+        for (let x = 0; x < width; x++) {
+            const sample = hasSamples
+                ? waveData[Math.floor((x / width) * waveData.length)] * 2
+                : Math.sin((x / width) * Math.PI * 6 + now / 120) * level;
+            const y = height / 2 + Math.max(-1, Math.min(1, sample)) * (height / 2 - 1);
+            if (x === 0) waveContext.moveTo(x, y);
+            else waveContext.lineTo(x, y);
+        }
+        waveContext.strokeStyle = waveColor;
+        waveContext.lineWidth = 1.5;
+        waveContext.stroke();
+    };
+
+    const drawMeters = (now) => {
+        meterFrame = requestAnimationFrame(drawMeters);
+        const level = !pushToTalk || talking ? (getInputLevel() ?? 0) : 0;
+        levelMeter?.style.setProperty("--level", level.toFixed(3));
+        drawWave(now);
+        detectBargeIn(level, now);
+    };
+
+    async function startMeters() {
+        await startInputMeter();
+        // The session may have ended while the microphone was opening
+        if (!connected || sessionMode !== "voice") {
+            stopInputMeter();
+            return;
+        }
+        setInputEnabled(!pushToTalk || talking);
+        waveColor = getComputedStyle(waveCanvas || voiceBar).color;
+        if (meterFrame === null) meterFrame = requestAnimationFrame(drawMeters);
+    }
+
+    function stopMeters() {
+        if (meterFrame !== null) cancelAnimationFrame(meterFrame);
+        meterFrame = null;
+        voiceSince = 0;
+        bargedIn = false;
+        stopInputMeter();
+        levelMeter?.style.setProperty("--level", "0");
+        waveContext?.clearRect(0, 0, waveCanvas.width, waveCanvas.height);
+    }
+
+    // The agent's voice, when the provider can measure it
+    if (provider) {
+        registerOutputSource({
+            isActive: () => connected && voiceBar.dataset.state === "speaking",
+            getLevel: () => provider.getOutputLevel()
+        });
+    }
+
+    // Microphone, typed messages and the provider's service only with the visitor's
+    // consent (see consent.js)
+    function canUseVoice() {
+        return Boolean(provider) && !missingConsent();
+    }
+
+    // The first category the provider needs that the visitor has not granted
+    function missingConsent() {
+        return provider?.consent.find((category) => !hasConsent(category)) || null;
+    }
+
+    function canChatOnline() {
+        return Boolean(provider?.textSupported) && !textUnavailable && navigator.onLine !== false && canUseVoice();
+    }
+
+    // Typed messages: through the open session, a typed session opened for them,
+    // or the local intent matcher when there is no agent to answer
+    async function sendMessage(text) {
+        addTurn("user", text);
+        const intent = runCommand(text, "text");
+        if (!connected && !connecting && canChatOnline()) await startConversation("text");
+        if (connected && provider.sendText(text)) return;
+        showReply(t(intent ? "chat.done" : "chat.help"), "local");
+    }
+
+    const setChatOpen = (open) => {
+        if (!chatForm || !chatToggle) return;
+        chatForm.classList.toggle("hidden", !open);
+        voiceBar.classList.toggle("chat-open", open);
+        chatToggle.setAttribute("aria-expanded", open ? "true" : "false");
+        if (open) chatInput?.focus({ preventScroll: true });
+    };
+
+    toggleButton.addEventListener("click", async () => {
+        if (connected && sessionMode === "voice") {
             stopConversation();
         } else {
-            startConversation();
+            // A typed session gives way to the spoken one; a missing consent is asked for
+            await stopConversation();
+            startConversation("voice");
         }
     });
 
+    talkButton?.addEventListener("pointerdown", (event) => {
+        if (event.button !== 0) return;
+        talkButton.setPointerCapture?.(event.pointerId);
+        setTalking(true);
+    });
+
+    ["pointerup", "pointercancel", "lostpointercapture"].forEach((type) => {
+        talkButton?.addEventListener(type, () => setTalking(false));
+    });
+
+    // A long press on touch screens must not open the context menu
+    talkButton?.addEventListener("contextmenu", (event) => event.preventDefault());
+
+    // Space anywhere but in text fields and dialogs; preventing keyup as well keeps
+    // a focused button from being clicked
+    window.addEventListener("keydown", (event) => {
+        if (event.code !== "Space" || !pushToTalk || !connected || sessionMode !== "voice") return;
+        if (event.target?.closest?.("input, textarea, select, [contenteditable='true'], [role='dialog']")) return;
+        event.preventDefault();
+        if (!event.repeat) setTalking(true);
+    });
+
+    window.addEventListener("keyup", (event) => {
+        if (event.code !== "Space" || !talking) return;
+        event.preventDefault();
+        setTalking(false);
+    });
+
+    window.addEventListener("blur", () => setTalking(false));
+
+    chatToggle?.addEventListener("click", () => {
+        setChatOpen(chatForm?.classList.contains("hidden") ?? false);
+    });
+
+    chatForm?.addEventListener("submit", (event) => {
+        event.preventDefault();
+        const text = chatInput?.value.trim();
+        if (!text) return;
+        chatInput.value = "";
+        sendMessage(text);
+    });
+
+    chatForm?.addEventListener("keydown", (event) => {
+        if (event.key !== "Escape") return;
+        event.stopPropagation();
+        setChatOpen(false);
+        chatToggle?.focus();
+    });
+
+    window.addEventListener("aria:consentChange", () => {
+        textUnavailable = false;
+        if (!canUseVoice()) stopConversation();
+    });
+
+    window.addEventListener("online", () => {
+        textUnavailable = false;
+    });
+
     window.addEventListener("aria:voiceMute", () => {
         outputVolume = 0;
         applyVolume();
@@ -209,5 +406,71 @@ if (voiceBar && toggleButton) {
         applyVolume();
     });
 
+    // Transcript panel: built with textContent only, the turns are free text
+    const renderTranscript = () => {
+        if (!transcriptList) return;
+        const turns = getTranscript();
+        transcriptList.replaceChildren(...turns.map((turn) => {
+            const item = document.createElement("li");
+            item.className = "transcript-turn";
+            item.dataset.role = turn.role;
+            const meta = document.createElement("div");
+            meta.className = "transcript-meta";
+            const time = document.createElement("time");
+            time.dateTime = turn.time;
+            time.textContent = formatTurnTime(turn);
+            const speaker = document.createElement("span");
+            speaker.className = "transcript-speaker";
+            speaker.textContent = t(turn.role === "user" ? "transcript.user" : "transcript.agent");
+            meta.append(time, speaker);
+            const text = document.createElement("p");
+            text.className = "transcript-text";
+            text.textContent = turn.text;
+            item.append(meta, text);
+            return item;
+        }));
+        transcriptEmpty?.classList.toggle("hidden", turns.length > 0);
+        if (transcriptExport) transcriptExport.disabled = turns.length === 0;
+        transcriptList.scrollTop = transcriptList.scrollHeight;
+    };
+
+    const setTranscriptOpen = (open) => {
+        if (!transcriptPanel || !transcriptToggle) return;
+        transcriptPanel.classList.toggle("hidden", !open);
+        transcriptToggle.setAttribute("aria-expanded", open ? "true" : "false");
+        const label = t(open ? "transcript.hide" : "transcript.show");
+        transcriptToggle.setAttribute("aria-label", label);
+        transcriptToggle.title = label;
+        if (open) renderTranscript();
+    };
+
+    const isTranscriptOpen = () => transcriptPanel ? !transcriptPanel.classList.contains("hidden") : false;
+
+    transcriptToggle?.addEventListener("click", () => setTranscriptOpen(!isTranscriptOpen()));
+
+    transcriptClose?.addEventListener("click", () => {
+        setTranscriptOpen(false);
+        transcriptToggle?.focus();
+    });
+
+    transcriptExport?.addEventListener("click", () => downloadTranscript());
+
+    transcriptPanel?.addEventListener("keydown", (event) => {
+        if (event.key !== "Escape") return;
+        event.stopPropagation();
+        setTranscriptOpen(false);
+        transcriptToggle?.focus();
+    });
+
+    window.addEventListener("aria:transcriptChange", () => {
+        if (isTranscriptOpen()) renderTranscript();
+    });
+
+    window.addEventListener("aria:languageChange", () => {
+        setState(voiceBar.dataset.state);
+        setTranscriptOpen(isTranscriptOpen());
+    });
+
     setState("offline");
+    renderTranscript();
 }
@@ -0,0 +1,114 @@
+/**
+ * Voice Meter
+ * Levels for the voice bar. The visitor's side comes from a Web Audio analyser on
+ * a capture stream of our own, whichever provider holds the conversation; ARIA's
+ * side from the output sources registered here: the narration (AudioSystem, see
+ * main.js) and the conversational agent when its voice can be measured.
+ * Levels are 0 (silence) to 1, on the same scale as AudioSystem.getOutputLevel().
+ */
+
+const FFT_SIZE = 1024;
+
+let input = null;
+let starting = null;
+let outputSources = [];
+
+/**
+ * Opens the microphone for the input meter. Resolves false when it cannot be
+ * measured; the conversation does not depend on it.
+ */
+export function startInputMeter() {
+    if (input) return Promise.resolve(true);
+    if (starting) return starting;
+    const Context = window.AudioContext || window.webkitAudioContext;
+    if (!Context || !navigator.mediaDevices?.getUserMedia) return Promise.resolve(false);
+
+    starting = navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } })
+        .then((stream) => {
+            const context = new Context();
+            const analyser = context.createAnalyser();
+            analyser.fftSize = FFT_SIZE;
+            analyser.smoothingTimeConstant = 0.3;
+            // Analysed only: never connected to the speakers
+            context.createMediaStreamSource(stream).connect(analyser);
+            if (context.state === 'suspended') context.resume().catch(() => {});
+            input = { stream, context, analyser, data: new Float32Array(FFT_SIZE) };
+            return true;
+        })
+        .catch((err) => {
+            console.warn('Input meter unavailable', err);
+            return false;
+        })
+        .finally(() => {
+            starting = null;
+        });
+    return starting;
+}
+
+export function stopInputMeter() {
+    const current = input;
+    input = null;
+    if (!current) return;
+    current.stream.getTracks().forEach(track => track.stop());
+    current.context.close().catch(() => {});
+}
+
+/** Push-to-talk: the meter hears the visitor only while the microphone is open. */
+export function setInputEnabled(enabled) {
+    input?.stream.getAudioTracks().forEach((track) => {
+        track.enabled = enabled;
+    });
+}
+
+/** The visitor's loudness, or null while the microphone is not measured. */
+export function getInputLevel() {
+    if (!input) return null;
+    return measure(input.analyser, input.data);
+}
+
+/**
+ * @param {{ isActive: () => boolean, getLevel: () => number|null, getWaveform?: (data: Float32Array) => boolean }} source
+ *   isActive: ARIA is talking through this source, measurable or not;
+ *   getWaveform fills data with time-domain samples (-1..1) and returns false when it cannot
+ * @returns {() => void} removes the source
+ */
+export function registerOutputSource(source) {
+    outputSources = [...outputSources, source];
+    return () => {
+        outputSources = outputSources.filter(item => item !== source);
+    };
+}
+
+/** True while any output source is playing, e.g. the narration. */
+export function isOutputActive() {
+    return outputSources.some(source => source.isActive());
+}
+
+/** The loudest playing source, or null when none can be measured. */
+export function getOutputLevel() {
+    let level = null;
+    outputSources.forEach((source) => {
+        if (!source.isActive()) return;
+        const value = source.getLevel();
+        if (typeof value === 'number' && (level === null || value > level)) level = value;
+    });
+    return level;
+}
+
+/**
+ * Samples of ARIA's voice for the waveform.
+ * @returns {boolean} false when no playing source has a waveform
+ */
+export function getOutputWaveform(data) {
+    return outputSources.some(source => source.isActive() && typeof source.getWaveform === 'function' && source.getWaveform(data));
+}
+
+function measure(analyser, data) {
+    analyser.getFloatTimeDomainData(data);
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+        sum += data[i] * data[i];
+    }
+    // Speech peaks around 0.2-0.3 RMS
+    return Math.min(1, Math.sqrt(sum / data.length) * 4);
+}
@@ -0,0 +1,577 @@
+/**
+ * Voice Providers
+ * Conversational backends for the voice assistant (voice-assistant.js). Every
+ * provider has the same shape:
+ *
+ *   {
+ *     name: 'elevenlabs' | 'local' | 'websocket',
+ *     consent: string[],        // consent.js categories it needs
+ *     supported: boolean,       // false when the browser lacks what it needs
+ *     textSupported: boolean,   // typed sessions, without the microphone
+ *     connect(callbacks, { textOnly }): Promise<void>,   // resolves once the visitor can talk
+ *     disconnect(): Promise<void>,
+ *     sendText(text: string): boolean      // a typed message in the open session;
+ *                                          // false when no agent will answer it
+ *     setMicrophoneOpen(open: boolean): void   // push-to-talk; open while connecting
+ *     getOutputLevel(): number|null        // loudness of ARIA's reply, null when unknown
+ *     setVolume(volume: number): void      // 0..1, ARIA's voice
+ *   }
+ *
+ * A textOnly session never opens the microphone and ARIA's replies are not
+ * spoken: they only reach onAgentMessage. Errors caused by a missing or refused
+ * microphone carry code 'microphone', so the assistant can offer the keyboard.
+ *
+ * callbacks: onUserTranscript(text) for each final sentence the visitor said,
+ * onAgentMessage(text) for ARIA's replies, onAgentSpeaking(speaking),
+ * onDisconnect() when the session ends on the other side or speech recognition
+ * gives up for good (onError follows with the reason), onError(error);
+ * plus tools: name → async function, the client tools the agent may call
+ * (see commands.js). The local provider has no agent and ignores them.
+ *
+ * WebSocket protocol (version 1): JSON text frames, one message each.
+ * The browser transcribes the visitor with SpeechRecognition and speaks the
+ * replies with the Web Speech voice (voice.js); the server only handles text.
+ *   browser → server
+ *     { "type": "session_start", "protocol": 1, "language": "it" }
+ *     { "type": "session_start", "protocol": 1, "language": "it", "textOnly": true }   typed session
+ *     { "type": "user_transcript", "text": "mostrami l'Eclipse" }
+ *     { "type": "user_text", "text": "in velluto verde" }      typed by the visitor
+ *     { "type": "session_end" }
+ *     { "type": "pong" }
+ *     { "type": "tool_result", "id": "7", "result": { ... } }    or "error": "message"
+ *   server → browser
+ *     { "type": "agent_response", "text": "Ecco l'Eclipse." }   spoken aloud
+ *     { "type": "tool_call", "id": "7", "name": "showCollection", "arguments": { "collection": "luxury" } }
+ *     { "type": "error", "message": "..." }                       reported, the session stays open
+ *     { "type": "ping" }                                          answered with pong
+ * Unknown types are ignored, so either side can add messages without breaking the other.
+ */
+
+import { getLanguage } from './i18n.js';
+import { importRemoteModule } from './consent.js';
+import { VoiceSystem } from './voice.js';
+
+export const WEBSOCKET_PROTOCOL_VERSION = 1;
+
+const ELEVENLABS_CLIENT_URLS = [
+    'https://esm.sh/@elevenlabs/client@0.12.2?bundle',
+    'https://cdn.skypack.dev/@elevenlabs/client@0.12.2'
+];
+const DEFAULT_AGENT_ID = 'agent_6201kdg19b9beae89z3ywcp3r9p8';
+
+const SPEECH_LANGUAGES = {
+    it: 'it-IT',
+    en: 'en-GB'
+};
+
+const WEBSOCKET_OPEN_TIMEOUT_MS = 10000;
+
+const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+// SpeechRecognition errors meaning there is no usable microphone
+const MICROPHONE_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture'];
+
+let elevenLabsClient = null;
+
+/**
+ * @param {{ type?: string, agentId?: string, endpoint?: string }} options
+ *   type: 'elevenlabs' (default), 'local' or 'websocket' (needs endpoint)
+ * @returns {object|null} null when the configuration is unusable
+ */
+export function createVoiceProvider(options = {}) {
+    switch (options.type || 'elevenlabs') {
+        case 'elevenlabs':
+            return createElevenLabsProvider({ agentId: options.agentId });
+        case 'local':
+            return createLocalProvider();
+        case 'websocket':
+            if (!options.endpoint) {
+                console.warn('Voice provider: websocket needs an endpoint');
+                return null;
+            }
+            return createWebSocketProvider({ endpoint: options.endpoint });
+        default:
+            console.warn(`Voice provider: unknown type "${options.type}"`);
+            return null;
+    }
+}
+
+/**
+ * ElevenLabs Conversational AI: speech in and out are handled by their agent.
+ * The client library is downloaded from a CDN, hence the 'remote' consent.
+ */
+export function createElevenLabsProvider({ agentId = DEFAULT_AGENT_ID } = {}) {
+    let conversation = null;
+    // The agent may echo a typed message back as a user message
+    let typedEcho = null;
+
+    const start = async (Conversation, transport, callbacks, textOnly) => {
+        if (transport === 'webrtc') {
+            // Asks for the microphone up front so a refusal fails fast
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+                stream.getTracks().forEach(track => track.stop());
+            } catch (error) {
+                error.code = 'microphone';
+                throw error;
+            }
+        }
+        return Conversation.startSession({
+            agentId: agentId || DEFAULT_AGENT_ID,
+            connectionType: transport,
+            textOnly,
+            // The agent reads tool results as text
+            clientTools: Object.fromEntries(Object.keys(callbacks.tools || {}).map(name => [name, async (params) => {
+                try {
+                    return JSON.stringify(await callTool(callbacks.tools, name, params));
+                } catch (error) {
+                    return `Error: ${error.message}`;
+                }
+            }])),
+            onDisconnect: () => {
+                if (!conversation) return;
+                conversation = null;
+                callbacks.onDisconnect?.();
+            },
+            onModeChange: (mode) => callbacks.onAgentSpeaking?.(mode.mode === 'speaking'),
+            onMessage: (message) => {
+                if (!message || typeof message.message !== 'string') return;
+                if (message.source === 'user' || message.role === 'user') {
+                    if (message.message === typedEcho) {
+                        typedEcho = null;
+                        return;
+                    }
+                    callbacks.onUserTranscript?.(message.message);
+                } else {
+                    callbacks.onAgentMessage?.(message.message);
+                }
+            },
+            onError: (error) => callbacks.onError?.(error)
+        });
+    };
+
+    return {
+        name: 'elevenlabs',
+        consent: ['voice', 'remote'],
+        supported: Boolean(navigator.mediaDevices?.getUserMedia),
+        textSupported: 'WebSocket' in window,
+
+        async connect(callbacks = {}, { textOnly = false } = {}) {
+            if (conversation) return;
+            const Conversation = await loadElevenLabsClient();
+            let session = null;
+            if (textOnly) {
+                session = await start(Conversation, 'websocket', callbacks, true);
+            } else {
+                try {
+                    session = await start(Conversation, 'webrtc', callbacks, false);
+                } catch (error) {
+                    // The websocket transport needs the microphone as well
+                    if (error.code === 'microphone') throw error;
+                    console.warn('WebRTC failed, fallback websocket:', error);
+                    session = await start(Conversation, 'websocket', callbacks, false);
+                }
+            }
+            conversation = session;
+        },
+
+        async disconnect() {
+            const session = conversation;
+            conversation = null;
+            if (!session) return;
+            try {
+                await session.endSession();
+            } catch (error) {
+                // Already closed on the other side
+            }
+        },
+
+        sendText(text) {
+            if (!conversation) return false;
+            typedEcho = text;
+            conversation.sendUserMessage(text);
+            return true;
+        },
+
+        setMicrophoneOpen(open) {
+            conversation?.setMicMuted?.(!open);
+        },
+
+        getOutputLevel() {
+            const level = conversation?.getOutputVolume?.();
+            return typeof level === 'number' ? Math.min(1, level) : null;
+        },
+
+        setVolume(volume) {
+            conversation?.setVolume?.({ volume });
+        }
+    };
+}
+
+/**
+ * Everything in the browser: SpeechRecognition listens, the Web Speech voice
+ * answers. Without a respond() there is no dialogue, only the visitor's commands
+ * (collection names and the like) picked up by the voice assistant.
+ * @param {{ respond?: (text: string) => string|null|Promise<string|null> }} [options]
+ */
+export function createLocalProvider({ respond } = {}) {
+    let speech = null;
+    let session = null;
+
+    const answer = async (text, current) => {
+        if (!respond) return;
+        try {
+            const reply = await respond(text);
+            if (!reply || session !== current) return;
+            current.callbacks.onAgentMessage?.(reply);
+            speech?.say(reply);
+        } catch (error) {
+            current.callbacks.onError?.(error);
+        }
+    };
+
+    return {
+        name: 'local',
+        // Chromium sends the recording to its speech service: still the visitor's voice
+        consent: ['voice'],
+        supported: Boolean(SpeechRecognition) && VoiceSystem.isSupported(),
+        // Without respond() there is nobody to chat with
+        textSupported: Boolean(respond),
+
+        async connect(callbacks = {}, { textOnly = false } = {}) {
+            if (session) return;
+            const current = { callbacks };
+            session = current;
+            if (textOnly) return;
+            speech = createSpeechSession({
+                ...callbacks,
+                onUserTranscript: (text) => {
+                    callbacks.onUserTranscript?.(text);
+                    answer(text, current);
+                },
+                onDisconnect: () => {
+                    if (session !== current) return;
+                    speech = null;
+                    session = null;
+                    callbacks.onDisconnect?.();
+                }
+            });
+            try {
+                await speech.start();
+            } catch (error) {
+                speech = null;
+                session = null;
+                throw error;
+            }
+        },
+
+        async disconnect() {
+            speech?.stop();
+            speech = null;
+            session = null;
+        },
+
+        sendText(text) {
+            if (!session || !respond) return false;
+            answer(text, session);
+            return true;
+        },
+
+        setMicrophoneOpen(open) {
+            speech?.setOpen(open);
+        },
+
+        // The Web Speech voice cannot be measured
+        getOutputLevel() {
+            return null;
+        },
+
+        setVolume(volume) {
+            speech?.setVolume(volume);
+        }
+    };
+}
+
+/**
+ * Our own conversation server, or a local mock, speaking the JSON protocol
+ * described at the top of this file.
+ * @param {{ endpoint: string }} options - ws:// or wss:// URL
+ */
+export function createWebSocketProvider({ endpoint }) {
+    let socket = null;
+    let speech = null;
+
+    const send = (message) => {
+        if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    const close = () => {
+        speech?.stop();
+        speech = null;
+        const current = socket;
+        socket = null;
+        return current;
+    };
+
+    return {
+        name: 'websocket',
+        consent: ['voice'],
+        supported: Boolean(SpeechRecognition) && VoiceSystem.isSupported() && 'WebSocket' in window,
+        textSupported: 'WebSocket' in window,
+
+        async connect(callbacks = {}, { textOnly = false } = {}) {
+            if (socket) return;
+            const current = new WebSocket(endpoint);
+            socket = current;
+            let timer = null;
+            await new Promise((resolve, reject) => {
+                const unreachable = () => reject(new Error(`Voice server unreachable: ${endpoint}`));
+                current.onopen = resolve;
+                current.onerror = unreachable;
+                current.onclose = unreachable;
+                // A server or proxy that accepts the connection but never upgrades it
+                timer = setTimeout(() => {
+                    reject(new Error(`Voice server did not answer within ${WEBSOCKET_OPEN_TIMEOUT_MS / 1000} s: ${endpoint}`));
+                    current.close();
+                }, WEBSOCKET_OPEN_TIMEOUT_MS);
+            }).catch((error) => {
+                if (socket === current) close();
+                throw error;
+            }).finally(() => {
+                clearTimeout(timer);
+                current.onerror = null;
+            });
+
+            current.onclose = () => {
+                if (socket !== current) return;
+                close();
+                callbacks.onDisconnect?.();
+            };
+            current.onmessage = (event) => {
+                let message = null;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.warn('Voice server: not JSON', event.data);
+                    return;
+                }
+                if (message?.type === 'agent_response' && typeof message.text === 'string') {
+                    callbacks.onAgentMessage?.(message.text);
+                    speech?.say(message.text);
+                } else if (message?.type === 'tool_call') {
+                    callTool(callbacks.tools, message.name, message.arguments).then(
+                        result => send({ type: 'tool_result', id: message.id, result: result ?? null }),
+                        error => send({ type: 'tool_result', id: message.id, error: error.message })
+                    );
+                } else if (message?.type === 'error') {
+                    callbacks.onError?.(new Error(message.message || 'Voice server error'));
+                } else if (message?.type === 'ping') {
+                    send({ type: 'pong' });
+                }
+            };
+
+            if (textOnly) {
+                send({ type: 'session_start', protocol: WEBSOCKET_PROTOCOL_VERSION, language: getLanguage(), textOnly: true });
+                return;
+            }
+            send({ type: 'session_start', protocol: WEBSOCKET_PROTOCOL_VERSION, language: getLanguage() });
+            speech = createSpeechSession({
+                ...callbacks,
+                onUserTranscript: (text) => {
+                    callbacks.onUserTranscript?.(text);
+                    send({ type: 'user_transcript', text });
+                },
+                onDisconnect: () => {
+                    if (socket !== current) return;
+                    send({ type: 'session_end' });
+                    close()?.close(1000);
+                    callbacks.onDisconnect?.();
+                }
+            });
+            try {
+                await speech.start();
+            } catch (error) {
+                close()?.close();
+                throw error;
+            }
+        },
+
+        async disconnect() {
+            send({ type: 'session_end' });
+            close()?.close(1000);
+        },
+
+        sendText(text) {
+            if (socket?.readyState !== WebSocket.OPEN) return false;
+            send({ type: 'user_text', text });
+            return true;
+        },
+
+        setMicrophoneOpen(open) {
+            speech?.setOpen(open);
+        },
+
+        getOutputLevel() {
+            return null;
+        },
+
+        setVolume(volume) {
+            speech?.setVolume(volume);
+        }
+    };
+}
+
+async function callTool(tools, name, params) {
+    const tool = tools && Object.hasOwn(tools, name) ? tools[name] : null;
+    if (typeof tool !== 'function') throw new Error(`Unknown tool: ${name}`);
+    return tool(params || {});
+}
+
+async function loadElevenLabsClient() {
+    if (!elevenLabsClient) {
+        elevenLabsClient = (async () => {
+            let lastError = null;
+            for (const url of ELEVENLABS_CLIENT_URLS) {
+                try {
+                    const mod = await importRemoteModule(url);
+                    if (mod && mod.Conversation) return mod.Conversation;
+                } catch (error) {
+                    if (error.code === 'consent') throw error;
+                    lastError = error;
+                }
+            }
+            throw lastError || new Error('Unable to load ElevenLabs client');
+        })().catch((error) => {
+            elevenLabsClient = null;
+            throw error;
+        });
+    }
+    return elevenLabsClient;
+}
+
+/**
+ * Continuous SpeechRecognition plus the Web Speech voice, shared by the local
+ * and WebSocket providers. Recognition pauses while ARIA talks so the
+ * microphone does not transcribe her, and while push-to-talk is released.
+ */
+function createSpeechSession(callbacks) {
+    const voice = new VoiceSystem({ lang: speechLanguage() });
+    let recognition = null;
+    let active = false;
+    let paused = false;
+    // Push-to-talk released
+    let closed = false;
+    let utterance = 0;
+    let started = null;
+
+    const listen = () => {
+        if (!active || paused || closed || recognition) return;
+        const instance = new SpeechRecognition();
+        recognition = instance;
+        instance.lang = speechLanguage();
+        instance.continuous = true;
+        instance.interimResults = false;
+        instance.onstart = () => started?.resolve();
+        instance.onresult = (event) => {
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const text = event.results[i].isFinal ? event.results[i][0].transcript.trim() : '';
+                if (text) callbacks.onUserTranscript?.(text);
+            }
+        };
+        instance.onerror = (event) => {
+            // Silence and our own abort() are routine: onend starts listening again
+            if (event.error === 'no-speech' || event.error === 'aborted') return;
+            const error = new Error(`Speech recognition failed: ${event.error}`);
+            if (MICROPHONE_ERRORS.includes(event.error)) error.code = 'microphone';
+            active = false;
+            if (started) {
+                started.reject(error);
+                return;
+            }
+            // After start (network, microphone unplugged...) the session is over
+            recognition = null;
+            utterance++;
+            voice.cancel();
+            callbacks.onDisconnect?.();
+            callbacks.onError?.(error);
+        };
+        instance.onend = () => {
+            if (recognition !== instance) return;
+            recognition = null;
+            // Browsers stop after a pause in the speech: keep listening while the session lasts
+            listen();
+        };
+        try {
+            instance.start();
+        } catch (error) {
+            recognition = null;
+            active = false;
+            started?.reject(error);
+        }
+    };
+
+    return {
+        /** Resolves once the microphone is open; rejects if it is refused. */
+        start() {
+            active = true;
+            return new Promise((resolve, reject) => {
+                started = { resolve, reject };
+                listen();
+            }).finally(() => {
+                started = null;
+            });
+        },
+
+        stop() {
+            active = false;
+            utterance++;
+            const instance = recognition;
+            recognition = null;
+            instance?.abort();
+            voice.cancel();
+        },
+
+        /**
+         * Push-to-talk. Releasing lets the recognition finish the sentence in
+         * progress; pressing while ARIA talks interrupts her.
+         */
+        setOpen(open) {
+            closed = !open;
+            if (closed) {
+                const instance = recognition;
+                recognition = null;
+                instance?.stop();
+                return;
+            }
+            if (paused) {
+                utterance++;
+                paused = false;
+                voice.cancel();
+                callbacks.onAgentSpeaking?.(false);
+            }
+            listen();
+        },
+
+        async say(text) {
+            const id = ++utterance;
+            paused = true;
+            recognition?.abort();
+            voice.setLanguage(speechLanguage());
+            callbacks.onAgentSpeaking?.(true);
+            await voice.speak(text);
+            // A newer reply (or stop) took over meanwhile
+            if (id !== utterance) return;
+            paused = false;
+            callbacks.onAgentSpeaking?.(false);
+            listen();
+        },
+
+        setVolume(volume) {
+            voice.setVolume(volume);
+        }
+    };
+}
+
+function speechLanguage() {
+    return SPEECH_LANGUAGES[getLanguage()] || SPEECH_LANGUAGES.it;
+}
@@ -1,6 +1,6 @@
 /**
  * Voice System - Web Speech API
- * ARIA speaks in Italian with synchronized light effects
+ * ARIA speaks (Italian by default) with synchronized light effects
  */
 
 // Check for Web Speech API support
@@ -14,13 +14,18 @@ let onSpeakingChange = null;
 // ============================================
 
 export class VoiceSystem {
-    constructor() {
+    /**
+     * @param {{ lang?: string }} [options] - BCP 47 tag, e.g. 'en-GB'
+     */
+    constructor(options = {}) {
         this.synth = window.speechSynthesis;
         this.voice = null;
+        this.lang = options.lang || 'it-IT';
+        this.volume = 1.0;
         this.speaking = false;
         this.queue = [];
 
-        // Load Italian voice
+        // Load voice for the language
         this.loadVoice();
 
         // Voices may load asynchronously
@@ -30,27 +35,40 @@ export class VoiceSystem {
     }
 
     // ----------------------------------------
-    // Load Italian Voice
+    // Load Voice
     // ----------------------------------------
     loadVoice() {
         const voices = this.synth.getVoices();
+        const language = this.lang.split('-')[0];
 
-        // Find Italian voice (prefer female voice for ARIA)
+        // Exact locale first, then the language (prefer female voice for ARIA)
         this.voice = voices.find(v =>
-            v.lang.startsWith('it') && v.name.toLowerCase().includes('female')
+            v.lang.startsWith(this.lang) && v.name.toLowerCase().includes('female')
         ) || voices.find(v =>
-            v.lang.startsWith('it')
+            v.lang.startsWith(this.lang)
         ) || voices.find(v =>
-            v.lang.startsWith('it-IT')
-        );
+            v.lang.startsWith(language) && v.name.toLowerCase().includes('female')
+        ) || voices.find(v =>
+            v.lang.startsWith(language)
+        ) || null;
 
         if (this.voice) {
             console.log('Voice loaded:', this.voice.name);
-        } else {
-            console.warn('No Italian voice found, using default');
+        } else if (voices.length > 0) {
+            console.warn(`No ${this.lang} voice found, using default`);
         }
     }
 
+    setLanguage(lang) {
+        if (!lang || lang === this.lang) return;
+        this.lang = lang;
+        this.loadVoice();
+    }
+
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, volume));
+    }
+
     // ----------------------------------------
     // Speak Text
     // ----------------------------------------
@@ -65,10 +83,10 @@ export class VoiceSystem {
             if (this.voice) {
                 utterance.voice = this.voice;
             }
-            utterance.lang = 'it-IT';
+            utterance.lang = this.lang;
             utterance.rate = 0.9;  // Slightly slower for elegance
             utterance.pitch = 1.05; // Slightly higher for warmth
-            utterance.volume = 1.0;
+            utterance.volume = this.volume;
 
             // Events
             utterance.onstart = () => {
@@ -107,9 +125,10 @@ export class VoiceSystem {
             if (this.voice) {
                 utterance.voice = this.voice;
             }
-            utterance.lang = 'it-IT';
+            utterance.lang = this.lang;
             utterance.rate = 0.9;
             utterance.pitch = 1.05;
+            utterance.volume = this.volume;
 
             let charIndex = 0;
             const words = text.split(' ');
@@ -0,0 +1,227 @@
+/**
+ * Service Worker
+ * Precaches the app shell, the vendored libraries, the models and the narrations
+ * so the showroom runs offline (trade fairs, kiosks on shaky Wi-Fi).
+ * Bump CACHE_VERSION with every deploy: the new worker fills fresh caches and
+ * drops the old ones once it takes over.
+ */
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `aria-shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = `aria-media-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `aria-runtime-${CACHE_VERSION}`;
+
+// Without these the app does not start: installation fails if any is missing
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './css/style.css',
+    './data/catalog.json',
+    './js/main.js',
+    './js/analytics.js',
+    './js/aria.js',
+    './js/assets.js',
+    './js/audio.js',
+    './js/camera.js',
+    './js/catalog.js',
+    './js/commands.js',
+    './js/configurator.js',
+    './js/consent.js',
+    './js/deeplink.js',
+    './js/i18n.js',
+    './js/intents.js',
+    './js/kiosk.js',
+    './js/layout.js',
+    './js/motion.js',
+    './js/navigation.js',
+    './js/product.js',
+    './js/pwa.js',
+    './js/quality.js',
+    './js/quote.js',
+    './js/showroom.js',
+    './js/subtitles.js',
+    './js/transcript.js',
+    './js/ui.js',
+    './js/voice.js',
+    './js/voice-assistant.js',
+    './js/voice-meter.js',
+    './js/voice-providers.js',
+    './vendor/three/build/three.module.js',
+    './vendor/three/examples/jsm/controls/OrbitControls.js',
+    './vendor/three/examples/jsm/libs/basis/basis_transcoder.js',
+    './vendor/three/examples/jsm/libs/basis/basis_transcoder.wasm',
+    './vendor/three/examples/jsm/libs/ktx-parse.module.js',
+    './vendor/three/examples/jsm/libs/meshopt_decoder.module.js',
+    './vendor/three/examples/jsm/libs/zstddec.module.js',
+    './vendor/three/examples/jsm/loaders/GLTFLoader.js',
+    './vendor/three/examples/jsm/loaders/KTX2Loader.js',
+    './vendor/three/examples/jsm/postprocessing/EffectComposer.js',
+    './vendor/three/examples/jsm/postprocessing/MaskPass.js',
+    './vendor/three/examples/jsm/postprocessing/Pass.js',
+    './vendor/three/examples/jsm/postprocessing/RenderPass.js',
+    './vendor/three/examples/jsm/postprocessing/ShaderPass.js',
+    './vendor/three/examples/jsm/postprocessing/UnrealBloomPass.js',
+    './vendor/three/examples/jsm/shaders/CopyShader.js',
+    './vendor/three/examples/jsm/shaders/LuminosityHighPassShader.js',
+    './vendor/three/examples/jsm/utils/BufferGeometryUtils.js',
+    './vendor/three/examples/jsm/utils/WorkerPool.js',
+    './vendor/gsap/gsap.min.js'
+];
+
+// Fetched one by one: a file that fails is cached the first time the app uses it
+const MEDIA_FILES = [
+    './Assets/LOGO.svg',
+    './Assets/icon.svg',
+    './ruota-telefono.svg',
+    './click-svgrepo-com.svg',
+    './Assets/open-popup-ita.png',
+    './Assets/open-popup-eng.png',
+    './css/fonts/Florensans.otf',
+    './css/fonts/Florensans.ttf',
+    './Assets/ARIA.glb',
+    './Assets/parquet.glb',
+    './Assets/OLD/wall-marble.glb',
+    './Assets/camino.glb',
+    './Audio/Apertura.mp3'
+];
+
+// Checked online first so a deploy shows up on the next load, not the one after
+const NETWORK_FIRST = ['./', './index.html', './data/catalog.json'].map(path => new URL(path, self.location).href);
+const NETWORK_TIMEOUT_MS = 4000;
+
+const REMOTE_RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        // Bypass the HTTP cache so a new version never precaches stale files
+        await shell.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+
+        const catalog = await shell.match('./data/catalog.json');
+        const media = await caches.open(MEDIA_CACHE);
+        const files = [...MEDIA_FILES, ...catalogMedia(catalog ? await catalog.json() : null)];
+        const results = await Promise.allSettled([...new Set(files)].map(async (url) => {
+            // Revalidated rather than reloaded: the page has usually just downloaded them
+            const response = await fetch(new Request(url, { cache: 'no-cache' }));
+            if (!response.ok) throw new Error(`${url}: ${response.status}`);
+            await media.put(url, response);
+        }));
+        results.filter(result => result.status === 'rejected')
+            .forEach(result => console.warn('Service worker: not precached', result.reason?.message || result.reason));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, MEDIA_CACHE, RUNTIME_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('aria-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' || NETWORK_FIRST.includes(url.origin + url.pathname)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+    if (url.origin === self.location.origin) {
+        event.respondWith(fromCache(request));
+        return;
+    }
+    if (REMOTE_RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Anything else (voice agent, quote endpoint) goes straight to the network
+});
+
+/** Models, narrations and subtitles named by the catalog, in every language. */
+function catalogMedia(catalog) {
+    const files = [];
+    (catalog?.collections || []).forEach((entry) => {
+        if (typeof entry.model === 'string') files.push(entry.model);
+        [entry.narration, entry.subtitles].forEach((value) => {
+            const tracks = typeof value === 'string' ? [value] : Object.values(value || {});
+            files.push(...tracks.filter(track => typeof track === 'string' && track));
+        });
+    });
+    return files;
+}
+
+// Precached files first, then the network (kept for next time)
+async function fromCache(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return request.headers.has('range') ? rangeResponse(request, cached) : cached;
+    }
+    const response = await fetch(request);
+    if (response.status === 200 && !request.headers.has('range')) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// The network, unless it fails or is too slow and a copy is cached; the answer
+// replaces the precached copy
+async function networkFirst(request) {
+    const navigate = request.mode === 'navigate';
+    const cached = await caches.match(request, { ignoreSearch: navigate })
+        || (navigate ? await caches.match('./index.html') : undefined);
+    const network = fetch(request).then(async (response) => {
+        // Browsers refuse redirected responses for navigations
+        if (response.ok && !response.redirected) {
+            const url = new URL(request.url);
+            const cache = await caches.open(SHELL_CACHE);
+            // Query strings (?quality=, ?kiosk...) do not change the page
+            await cache.put(navigate ? url.origin + url.pathname : request, response.clone());
+        }
+        return response;
+    });
+    if (!cached) return network;
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS);
+    });
+    return Promise.race([network.catch(() => cached), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request).then((response) => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    }).catch(() => cached);
+    return cached || network;
+}
+
+// Media elements ask for byte ranges; Safari refuses to play a whole-file answer
+async function rangeResponse(request, cached) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '');
+    if (!match) return cached;
+    const blob = await cached.blob();
+    const start = match[1] ? Number(match[1]) : Math.max(0, blob.size - Number(match[2]));
+    const end = match[1] && match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+    if (start >= blob.size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || blob.type,
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
@@ -0,0 +1,97 @@
+/**
+ * Mock Quote Server
+ * A stand-in lead server for testing the quote form end to end over HTTP.
+ * No dependencies:
+ *
+ *   node tools/mock-quote-server.mjs [--port 8787] [--fail]
+ *
+ * then point the form at it: <form id="contact-form" data-endpoint="http://localhost:8787/quotes">.
+ * POST /quotes stores the request in memory and prints it (snapshot shortened);
+ * GET /quotes lists what was received. --fail answers 503 to every POST, to try
+ * the retry queue: restart without it and the queued requests go out.
+ */
+
+import { createServer } from 'node:http';
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const PORT = portIndex >= 0 ? Number(args[portIndex + 1]) : 8787;
+const FAIL = args.includes('--fail');
+const MAX_BODY = 8 * 1024 * 1024; // snapshots are JPEG data URLs
+
+const received = [];
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        // The showroom is served from another port
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+const server = createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, `http://localhost:${PORT}`);
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+    if (pathname !== '/quotes') {
+        send(response, 404, { error: 'Not found' });
+        return;
+    }
+    if (request.method === 'GET') {
+        send(response, 200, received);
+        return;
+    }
+    if (request.method !== 'POST') {
+        send(response, 405, { error: 'Method not allowed' });
+        return;
+    }
+    if (FAIL) {
+        send(response, 503, { error: 'Failing on purpose (--fail)' });
+        return;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(request));
+    } catch (err) {
+        send(response, err.status || 400, { error: err.status ? err.message : 'Invalid JSON' });
+        return;
+    }
+    if (!payload?.contact?.email) {
+        send(response, 422, { error: 'contact.email is required' });
+        return;
+    }
+
+    const entry = { ...payload, snapshot: payload.snapshot ? `${payload.snapshot.length} chars` : null };
+    // Retried requests keep their id: store each lead once
+    if (!received.some(item => item.id === entry.id)) received.push(entry);
+    console.log(`Quote ${entry.id} from ${entry.contact.name} <${entry.contact.email}>`, entry.collection?.name ?? '');
+    send(response, 201, { id: entry.id });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock quote server on http://localhost:${PORT}/quotes${FAIL ? ' (failing every POST)' : ''}`);
+});